@@ -1,22 +1,42 @@
-import { useState, useCallback, useRef, useEffect } from 'react'
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react'
 import { Toaster, toast } from 'react-hot-toast'
 import FileUpload from './components/FileUpload'
 import PrioritySelector from './components/PrioritySelector'
+import ProfileManager from './components/ProfileManager'
 import LanguageDisplay from './components/LanguageDisplay'
 import DuplicatePreview from './components/DuplicatePreview'
+import InconsistencyReport from './components/InconsistencyReport'
 import ProgressBar from './components/ProgressBar'
 import StepContainer from './components/StepContainer'
 import { processTMXFile } from './utils/file-processor'
-import { analyzeDuplicates } from './utils/duplicate-analyzer'
+import { analyzeDuplicates, DEFAULT_MATCH_OPTIONS, DEFAULT_PRIORITIES } from './utils/duplicate-analyzer'
 import { processTMX } from './utils/tmx-processor'
+import { createDuplicateReport } from './utils/duplicate-report'
+import { downloadBlob } from './utils/download'
+import { OUTPUT_ENCODINGS } from './utils/encoding-detector'
+import {
+  createFileFingerprint,
+  createSession,
+  parseSession,
+  matchesFingerprint,
+  saveStoredSession,
+  loadStoredSession
+} from './utils/review-session'
+
+const SESSION_SAVE_DELAY = 2000; // ms after the last change
 
 function App() {
   const [inputFile, setInputFile] = useState(null)
   const [metadata, setMetadata] = useState(null)
   const [tmxData, setTmxData] = useState(null)
   const [duplicates, setDuplicates] = useState(null)
+  const [inconsistencies, setInconsistencies] = useState(null)
   const [processing, setProcessing] = useState(false)
   const [currentStep, setCurrentStep] = useState(1)
+  const [outputEncoding, setOutputEncoding] = useState('original')
+  const [fileFingerprint, setFileFingerprint] = useState(null)
+  const [analysisSettings, setAnalysisSettings] = useState(null)
+  const [sessionSavedAt, setSessionSavedAt] = useState(null)
   const [progress, setProgress] = useState({ 
     type: null, 
     processed: 0, 
@@ -27,23 +47,19 @@ function App() {
   const completedSteps = useRef(new Set())
   const activeWorker = useRef(null)
   const abortController = useRef(null)
+  const sessionInput = useRef(null)
   
-  const [priorities, setPriorities] = useState({
-    creationId: [],
-    changeId: [],
-    changeDate: false,
-    creationDate: false,
-    priorityOrder: 'ids'
-  })
+  const [priorities, setPriorities] = useState({ ...DEFAULT_PRIORITIES })
 
   const [options, setOptions] = useState({
-    matchMode: 'sourcesEqual',
-    caseSensitive: false,
-    ignorePunctuation: false,
-    ignoreWhitespace: true,
-    tagStrictness: 'permissive'
+    ...DEFAULT_MATCH_OPTIONS,
+    sourceLanguage: '',
+    targetLanguages: []
   })
 
+  // The languages chosen in the options, falling back to the pair detected in the file
+  const languagePair = useMemo(() => getLanguagePair(metadata, options), [metadata, options])
+
   useEffect(() => {
     return () => {
       cleanupResources();
@@ -85,6 +101,17 @@ function App() {
     }
   }, [currentStep])
 
+  const restoreSession = useCallback((session) => {
+    setPriorities(prev => ({ ...prev, ...session.priorities }));
+    setOptions(prev => ({ ...prev, ...session.options }));
+    setAnalysisSettings({ priorities: session.priorities, options: session.options, languages: session.languages || null });
+    setDuplicates(session.duplicates);
+    setSessionSavedAt(new Date(session.savedAt));
+    completedSteps.current.add(2);
+    completedSteps.current.add(3);
+    setCurrentStep(4);
+  }, [])
+
   const handleFileSelect = useCallback(async (file) => {
     if (!file || !(file instanceof File)) {
       toast.error('Invalid file selected');
@@ -105,21 +132,44 @@ function App() {
 
       setMetadata(result.metadata);
       setTmxData(result.content);
+      setOptions(prev => ({ ...prev, sourceLanguage: '', targetLanguages: [] }));
+      // Decisions refer to unit positions, so they never carry over to another file
+      setDuplicates(null);
+      setInconsistencies(null);
+      setAnalysisSettings(null);
+      setSessionSavedAt(null);
       
       setProgress({ type: null, processed: 0, total: 0, stage: null });
       updateStepCompletion(1, true);
-      toast.success('TMX file loaded successfully');
+
+      const fingerprint = await createFileFingerprint(file).catch(error => {
+        console.warn('Review sessions unavailable:', error);
+        return null;
+      });
+      setFileFingerprint(fingerprint);
+
+      const session = fingerprint && await loadStoredSession(fingerprint).catch(error => {
+        console.warn('Failed to load saved review session:', error);
+        return null;
+      });
+      if (session) {
+        restoreSession(session);
+        toast.success(`TMX file loaded; review session from ${new Date(session.savedAt).toLocaleString()} restored`);
+      } else {
+        toast.success('TMX file loaded successfully');
+      }
     } catch (error) {
       console.error('File processing error:', error);
       toast.error(error.message || 'Failed to process TMX file');
       setInputFile(null);
       setMetadata(null);
       setTmxData(null);
+      setFileFingerprint(null);
       updateStepCompletion(1, false);
     } finally {
       setProcessing(false);
     }
-  }, [updateStepCompletion, handleProgress, cleanupResources])
+  }, [updateStepCompletion, handleProgress, cleanupResources, restoreSession])
 
   const handlePriorityChange = useCallback((key, value) => {
     if (!key || value === undefined) {
@@ -143,6 +193,12 @@ function App() {
     setOptions(prev => ({ ...prev, [key]: value }));
   }, [])
 
+  const handleApplyProfile = useCallback((profile) => {
+    setPriorities(prev => ({ ...prev, ...profile.priorities }));
+    setOptions(prev => ({ ...prev, ...profile.options }));
+    updateStepCompletion(2, true);
+  }, [updateStepCompletion])
+
   const handleAnalyzeDuplicates = useCallback(async () => {
     console.log('Analyze button clicked');
     if (!tmxData) {
@@ -190,6 +246,7 @@ function App() {
           case 'complete':
             if (Array.isArray(data)) {
               setDuplicates(data);
+              setAnalysisSettings({ priorities, options, languages: languagePair });
               updateStepCompletion(3, true);
               worker.terminate();
               activeWorker.current = null;
@@ -213,7 +270,7 @@ function App() {
 
       worker.postMessage({
         type: 'analyzeDuplicates',
-        data: { tmxData, priorities, options }
+        data: { tmxData, priorities, options, languages: languagePair }
       });
     } catch (error) {
       console.error('Analysis error:', error);
@@ -222,7 +279,108 @@ function App() {
     } finally {
       setProcessing(false);
     }
-  }, [tmxData, priorities, options, updateStepCompletion, cleanupResources])
+  }, [tmxData, languagePair, priorities, options, updateStepCompletion, cleanupResources])
+
+  // Read-only QA pass over the same units; it never changes the duplicate decisions
+  const handleFindInconsistencies = useCallback(() => {
+    if (!tmxData?.tmx?.body?.tu) {
+      toast.error('Please select a TMX file first');
+      return;
+    }
+
+    cleanupResources();
+    setProcessing(true);
+
+    const worker = new Worker(new URL('./utils/worker.js', import.meta.url));
+    activeWorker.current = worker;
+
+    const finish = () => {
+      worker.terminate();
+      activeWorker.current = null;
+      setProcessing(false);
+      setProgress({ type: null, processed: 0, total: 0, stage: null });
+    };
+
+    worker.onmessage = (e) => {
+      const { type, data } = e.data;
+
+      switch (type) {
+        case 'progress':
+          setProgress({ type: 'analyzing', processed: data.processed, total: data.total, stage: data.stage });
+          break;
+
+        case 'complete':
+          finish();
+          setInconsistencies(data);
+          toast.success(`Found ${data.sources.length.toLocaleString()} sources and ${data.targets.length.toLocaleString()} targets with inconsistent translations`);
+          break;
+
+        case 'error':
+          finish();
+          toast.error(data);
+          break;
+
+        default:
+          console.warn('Unknown message type from worker:', type);
+      }
+    };
+
+    worker.onerror = (error) => {
+      finish();
+      toast.error(`Worker error: ${error.message}`);
+    };
+
+    worker.postMessage({
+      type: 'findInconsistencies',
+      data: { tmxData, options, languages: languagePair }
+    });
+  }, [tmxData, languagePair, options, cleanupResources])
+
+  // Keep the review in IndexedDB so reopening the same file picks up where it was left
+  useEffect(() => {
+    if (!fileFingerprint || !duplicates || !analysisSettings) return;
+
+    const timer = setTimeout(() => {
+      const session = createSession({ fingerprint: fileFingerprint, ...analysisSettings, duplicates });
+      saveStoredSession(session)
+        .then(() => setSessionSavedAt(new Date(session.savedAt)))
+        .catch(error => console.warn('Failed to save review session:', error));
+    }, SESSION_SAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [fileFingerprint, duplicates, analysisSettings])
+
+  const handleExportSession = useCallback(() => {
+    if (!fileFingerprint || !duplicates || !analysisSettings) {
+      toast.error('Analyze duplicates before exporting a session');
+      return;
+    }
+
+    const session = createSession({ fingerprint: fileFingerprint, ...analysisSettings, duplicates });
+    downloadBlob(
+      new Blob([JSON.stringify(session)], { type: 'application/json' }),
+      inputFile.name.replace('.tmx', '_session.json')
+    );
+  }, [fileFingerprint, duplicates, analysisSettings, inputFile])
+
+  const handleImportSession = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const session = parseSession(await file.text());
+      if (!matchesFingerprint(session, fileFingerprint)) {
+        throw new Error(`This session belongs to ${session.file.name}; load that TMX file first`);
+      }
+
+      restoreSession(session);
+      toast.success(`Review session from ${new Date(session.savedAt).toLocaleString()} imported`);
+    } catch (error) {
+      console.error('Session import error:', error);
+      toast.error(error.message || 'Failed to import session');
+    }
+  }, [fileFingerprint, restoreSession])
 
   const handleDuplicateStatusChange = useCallback((updatedDuplicates) => {
     if (!Array.isArray(updatedDuplicates)) {
@@ -269,21 +427,15 @@ function App() {
               stage
             }));
           }
-        }
+        },
+        { outputEncoding, unitCount: metadata.unitCount }
       );
 
       if (!result?.blob || !result?.downloadName) {
         throw new Error('Invalid processing result');
       }
       
-      const url = URL.createObjectURL(result.blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = result.downloadName;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
+      downloadBlob(result.blob, result.downloadName);
 
       updateStepCompletion(4, true);
       toast.success('TMX file processed and downloaded successfully');
@@ -295,7 +447,36 @@ function App() {
       setProcessing(false);
       setProgress({ type: null, processed: 0, total: 0, stage: null });
     }
-  }, [inputFile, duplicates, tmxData, priorities, updateStepCompletion, cleanupResources])
+  }, [inputFile, duplicates, tmxData, metadata, priorities, outputEncoding, updateStepCompletion, cleanupResources])
+
+  // Reports the review as it stands, manual decisions included, since that is what Process TMX writes. It
+  // matches the CLI's --dry-run report only while no decision has been changed by hand
+  const handleDryRun = useCallback(() => {
+    if (!inputFile || !duplicates || !analysisSettings) {
+      toast.error('Please complete all previous steps first');
+      return;
+    }
+
+    try {
+      const { sourceLanguage, targetLanguages, ...matchOptions } = analysisSettings.options;
+      const report = createDuplicateReport(duplicates, {
+        fileName: inputFile.name,
+        languages: analysisSettings.languages,
+        priorities: analysisSettings.priorities,
+        options: matchOptions,
+        review: true
+      });
+
+      downloadBlob(
+        new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }),
+        inputFile.name.replace('.tmx', '_review_dry_run.json')
+      );
+      toast.success(`Dry run of the current review: ${report.summary.deleted.toLocaleString()} segments in ${report.summary.groups.toLocaleString()} groups would be removed (${report.manualDecisions.toLocaleString()} decided manually)`);
+    } catch (error) {
+      console.error('Dry run error:', error);
+      toast.error(error.message || 'Failed to create dry run report');
+    }
+  }, [inputFile, duplicates, analysisSettings])
 
   return (
     <div className="min-h-screen bg-[#1e1e1e] text-[#676767] font-sans">
@@ -331,6 +512,7 @@ function App() {
                 <LanguageDisplay 
                   sourceLanguage={metadata.sourceLanguage}
                   targetLanguage={metadata.targetLanguage}
+                  languages={metadata.languages}
                 />
 
                 <div className="bg-[#2d2d2d] rounded-lg p-4 mt-4">
@@ -340,6 +522,7 @@ function App() {
                     <div>Creation Tool: {metadata.creationTool} {metadata.creationToolVersion}</div>
                     <div>File Size: {formatFileSize(inputFile.size)}</div>
                     <div>Segment Type: {metadata.segmentType}</div>
+                    <div>Encoding: {formatEncoding(metadata.encoding)}</div>
                   </div>
                 </div>
               </div>
@@ -353,6 +536,12 @@ function App() {
             isActive={currentStep === 2}
             isCompleted={completedSteps.current.has(2)}
           >
+            <ProfileManager
+              priorities={priorities}
+              options={options}
+              metadata={metadata}
+              onApply={handleApplyProfile}
+            />
             <PrioritySelector
               priorities={priorities}
               onPriorityChange={handlePriorityChange}
@@ -379,6 +568,44 @@ function App() {
                 Analyze Duplicates
               </button>
 
+              <button
+                type="button"
+                onClick={handleFindInconsistencies}
+                className="w-full bg-[#2d2d2d] text-white border border-[#353535] py-3 rounded-lg hover:bg-[#353535] transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={processing || !metadata}
+              >
+                Find Inconsistent Translations
+              </button>
+
+              <div className="flex flex-wrap items-center gap-4">
+                <button
+                  type="button"
+                  onClick={handleExportSession}
+                  className="px-4 py-2 bg-[#2d2d2d] text-white border border-[#353535] rounded-lg hover:bg-[#353535] transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  disabled={processing || !duplicates || !fileFingerprint}
+                >
+                  Export Session
+                </button>
+                <button
+                  type="button"
+                  onClick={() => sessionInput.current?.click()}
+                  className="px-4 py-2 bg-[#2d2d2d] text-white border border-[#353535] rounded-lg hover:bg-[#353535] transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  disabled={processing || !fileFingerprint}
+                >
+                  Import Session
+                </button>
+                <input
+                  ref={sessionInput}
+                  type="file"
+                  accept=".json,application/json"
+                  onChange={handleImportSession}
+                  className="hidden"
+                />
+                {sessionSavedAt && (
+                  <span className="text-sm">Review saved in this browser at {sessionSavedAt.toLocaleTimeString()}</span>
+                )}
+              </div>
+
               {progress.type === 'analyzing' && (
                 <ProgressBar 
                   progress={progress.processed}
@@ -394,6 +621,13 @@ function App() {
                   onStatusChange={handleDuplicateStatusChange}
                 />
               )}
+
+              {inconsistencies && (
+                <InconsistencyReport
+                  inconsistencies={inconsistencies}
+                  fileName={inputFile?.name}
+                />
+              )}
             </div>
           </StepContainer>
 
@@ -405,6 +639,34 @@ function App() {
             isCompleted={completedSteps.current.has(4)}
           >
             <div className="space-y-4">
+              <div>
+                <label className="block text-white mb-2">Output Encoding</label>
+                <select
+                  value={outputEncoding}
+                  onChange={(e) => setOutputEncoding(e.target.value)}
+                  className="w-full bg-[#2d2d2d] text-white border border-[#353535] rounded-md p-2"
+                >
+                  <option value="original">
+                    Same as input{metadata?.encoding ? ` (${formatEncoding(metadata.encoding)})` : ''}
+                  </option>
+                  {Object.entries(OUTPUT_ENCODINGS).map(([value, { label }]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <div className="text-sm text-gray-400 mt-2">
+                  The XML declaration, DOCTYPE and TMX version are copied from the input file
+                </div>
+              </div>
+
+              <button
+                type="button"
+                onClick={handleDryRun}
+                className="w-full bg-[#2d2d2d] text-white border border-[#353535] py-3 rounded-lg hover:bg-[#353535] transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={processing || !duplicates}
+              >
+                Dry Run: Download Report of Current Review (JSON)
+              </button>
+
               <button
                 type="submit"
                 className="w-full bg-green-600 text-white py-3 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
@@ -445,6 +707,25 @@ function getProgressLabel({ type, stage }) {
   }
 }
 
+function getLanguagePair(metadata, options) {
+  const source = options?.sourceLanguage || metadata?.sourceLanguage;
+  const targets = options?.targetLanguages?.length > 0
+    ? options.targetLanguages
+    : [metadata?.targetLanguage].filter(Boolean);
+
+  if (!source || targets.length === 0) {
+    return null;
+  }
+  return { source, target: targets[0], targets };
+}
+
+function formatEncoding(encodingInfo) {
+  if (!encodingInfo?.encoding) {
+    return 'Unknown';
+  }
+  return `${encodingInfo.encoding.toUpperCase()}${encodingInfo.hasBOM ? ' with BOM' : ''}`;
+}
+
 function formatFileSize(bytes) {
   if (!Number.isFinite(bytes) || bytes < 0) {
     return '0 B';
@@ -0,0 +1,42 @@
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { build } from 'esbuild';
+
+// Jest does not compile JSX here, so the app is bundled with the esbuild that Vite uses and rendered on the server
+const ENTRY = `
+import { renderToString } from 'react-dom/server';
+import App from './App.jsx';
+export const render = () => renderToString(<App />);
+`;
+
+describe('App', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'app-render-'));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('renders the upload step on the first render', async () => {
+    const outfile = join(dir, 'app.cjs');
+    await build({
+      stdin: { contents: ENTRY, loader: 'jsx', resolveDir: fileURLToPath(new URL('..', import.meta.url)) },
+      bundle: true,
+      platform: 'node',
+      format: 'cjs',
+      jsx: 'automatic',
+      loader: { '.js': 'jsx' },
+      outfile,
+      logLevel: 'error'
+    });
+
+    const { render } = await import(pathToFileURL(outfile).href);
+
+    expect(render()).toContain('<input');
+  });
+});
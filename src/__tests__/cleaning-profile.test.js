@@ -0,0 +1,38 @@
+import { createProfile, parseProfile, findUnknownProfileIds } from '../utils/cleaning-profile.js';
+
+describe('cleaning profiles', () => {
+  test('keep priorities and match options but not file languages', () => {
+    const profile = createProfile(' Client A ', { creationId: ['anna'], changeDate: true, keepCount: 2 }, {
+      matchMode: 'bothEqual',
+      sourceLanguage: 'en-US'
+    });
+
+    const parsed = parseProfile(JSON.stringify(profile));
+
+    expect(parsed.name).toBe('Client A');
+    expect(parsed.priorities).toMatchObject({ creationId: ['anna'], changeId: [], changeDate: true, keepCount: 2 });
+    expect(parsed.options).toMatchObject({ matchMode: 'bothEqual', tagStrictness: 'permissive' });
+    expect(parsed.options.sourceLanguage).toBeUndefined();
+  });
+
+  test('reject invalid settings', () => {
+    const profile = createProfile('Broken', {}, { tagStrictness: 'loose' });
+
+    expect(() => parseProfile(profile)).toThrow('options.tagStrictness must be one of');
+    expect(() => parseProfile({ name: 'x' })).toThrow('not a TMX Duplicate Remover profile');
+  });
+
+  test('list ranked IDs that are missing from the file', () => {
+    const unknown = findUnknownProfileIds({
+      creationId: ['anna', 'ben'],
+      changeId: ['carl'],
+      propRules: [{ type: 'client', value: 'C000274' }, { type: 'domain', value: 'Legal' }]
+    }, {
+      creationIds: ['anna'],
+      changeIds: [],
+      props: { client: ['C000274'] }
+    });
+
+    expect(unknown).toEqual({ creationId: ['ben'], changeId: ['carl'], prop: ['domain=Legal'] });
+  });
+});
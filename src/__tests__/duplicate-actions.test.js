@@ -0,0 +1,52 @@
+import {
+  setUnitStatus,
+  keepAllInGroups,
+  keepNewestInGroups,
+  keepCreatorInGroups,
+  revertGroups
+} from '../utils/duplicate-actions.js';
+
+function createEntry(groupId, targetText, status, creationId, changeDate) {
+  return { groupId, targetText, status, creationId, changeDate, decidedBy: 'creationId', reason: 'automatic' };
+}
+
+const duplicates = [
+  createEntry('a', 'Bonjour', 'keep', 'alice', '20240101T000000Z'),
+  createEntry('a', 'Salut', 'delete', 'bob', '20240103T000000Z'),
+  createEntry('b', 'Merci', 'keep', 'alice', '20240102T000000Z'),
+  createEntry('b', 'Merci bien', 'delete', 'carol', '20240101T000000Z')
+];
+
+const statuses = list => list.map(entry => `${entry.targetText}:${entry.status}`);
+
+describe('bulk duplicate actions', () => {
+  test('keeps every unit in the selected groups only', () => {
+    const updated = keepAllInGroups(duplicates, ['a']);
+
+    expect(statuses(updated)).toEqual(['Bonjour:keep', 'Salut:keep', 'Merci:keep', 'Merci bien:delete']);
+    expect(updated[1].decidedBy).toBe('manual');
+    expect(updated[2]).toBe(duplicates[2]);
+  });
+
+  test('keeps the newest unit per group', () => {
+    const updated = keepNewestInGroups(duplicates, ['a', 'b']);
+
+    expect(statuses(updated)).toEqual(['Bonjour:delete', 'Salut:keep', 'Merci:keep', 'Merci bien:delete']);
+  });
+
+  test('keeps the creator\'s unit and skips groups without one', () => {
+    const updated = keepCreatorInGroups(duplicates, ['a', 'b'], 'bob');
+
+    expect(statuses(updated)).toEqual(['Bonjour:delete', 'Salut:keep', 'Merci:keep', 'Merci bien:delete']);
+    expect(updated[2]).toBe(duplicates[2]);
+  });
+
+  test('reverts manual decisions to the automatic ones', () => {
+    const keptAll = keepAllInGroups(duplicates, ['a']);
+    const edited = setUnitStatus(keptAll, keptAll[0], 'delete');
+    const reverted = revertGroups(edited, ['a']);
+
+    expect(statuses(edited).slice(0, 2)).toEqual(['Bonjour:delete', 'Salut:keep']);
+    expect(reverted.slice(0, 2)).toEqual(duplicates.slice(0, 2));
+  });
+});
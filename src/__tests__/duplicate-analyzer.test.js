@@ -0,0 +1,211 @@
+import { analyzeDuplicates, createGroupId } from '../utils/duplicate-analyzer.js';
+import { createDuplicateReport } from '../utils/duplicate-report.js';
+import { createDuplicateFilter } from '../utils/tmx-writer.js';
+import { assignSegment, parseSegmentXML } from '../utils/segment-model.js';
+
+const languages = { source: 'en', target: 'fr' };
+
+function createTU(source, target, attributes = {}) {
+  return {
+    '@_creationid': attributes.creationId,
+    '@_changeid': attributes.changeId,
+    '@_changedate': attributes.changeDate,
+    prop: attributes.props?.map(([type, value]) => ({ '@_type': type, '#text': value })),
+    tuv: [
+      { '@_xml:lang': 'en', seg: source },
+      { '@_xml:lang': 'fr', seg: target }
+    ]
+  };
+}
+
+function createTaggedTU(sourceXML, targetXML) {
+  return {
+    tuv: [
+      assignSegment({ '@_xml:lang': 'en' }, parseSegmentXML(sourceXML)),
+      assignSegment({ '@_xml:lang': 'fr' }, parseSegmentXML(targetXML))
+    ]
+  };
+}
+
+function createTMX(tus) {
+  return { tmx: { header: { '@_srclang': 'en' }, body: { tu: tus } } };
+}
+
+describe('analyzeDuplicates', () => {
+  test('keeps the unit with the highest ranked creation ID', () => {
+    const tmxData = createTMX([
+      createTU('Hello', 'Bonjour', { creationId: 'b' }),
+      createTU('Hello', 'Salut', { creationId: 'a' }),
+      createTU('Goodbye', 'Au revoir', { creationId: 'a' })
+    ]);
+
+    const duplicates = analyzeDuplicates(tmxData, { creationId: ['a', 'b'] }, { languages });
+
+    expect(duplicates).toHaveLength(2);
+    expect(duplicates[0]).toMatchObject({ targetText: 'Salut', status: 'keep', decidedBy: 'creationId' });
+    expect(duplicates[1]).toMatchObject({ targetText: 'Bonjour', status: 'delete', decidedBy: 'creationId' });
+    expect(duplicates[0].groupId).toBe(createGroupId(duplicates[0].groupKey));
+    expect(duplicates[1].groupId).toBe(duplicates[0].groupId);
+    expect(duplicates[0].reason).toBe("creationid 'a' ranked #1 vs 'b' ranked #2");
+    expect(duplicates[1].reason).toBe("creationid 'b' ranked #2 vs kept 'a' ranked #1");
+  });
+
+  test('keeps the unit with the highest ranked prop before checking IDs', () => {
+    const tmxData = createTMX([
+      createTU('Hello', 'Bonjour', { creationId: 'a', props: [['client', 'Other']] }),
+      createTU('Hello', 'Salut', { creationId: 'b', props: [['domain', 'Legal'], ['client', 'C000274']] }),
+      createTU('Hello', 'Coucou', { creationId: 'a' })
+    ]);
+
+    const duplicates = analyzeDuplicates(
+      tmxData,
+      { creationId: ['a', 'b'], propRules: [{ type: 'client', value: 'C000274' }] },
+      { languages }
+    );
+
+    expect(duplicates.map(d => [d.targetText, d.status, d.decidedBy])).toEqual([
+      ['Salut', 'keep', 'props'],
+      ['Bonjour', 'delete', 'props'],
+      ['Coucou', 'delete', 'props']
+    ]);
+    expect(duplicates[0].reason).toBe("prop client 'C000274' ranked #1 vs no preferred prop");
+    expect(duplicates[1].reason).toBe("no preferred prop vs kept prop client 'C000274' ranked #1");
+  });
+
+  test('matches units made only of inline codes', () => {
+    const tmxData = createTMX([
+      createTaggedTU('<ph x="1"/>', '<ph x="1"/>'),
+      createTaggedTU('<ph x="2"/>', '<ph x="2"/>'),
+      createTaggedTU('<bpt i="1">&lt;b&gt;</bpt><ept i="1">&lt;/b&gt;</ept>', '<bpt i="1">&lt;b&gt;</bpt><ept i="1">&lt;/b&gt;</ept>')
+    ]);
+
+    const ignored = analyzeDuplicates(tmxData, {}, { languages, tagStrictness: 'ignore' });
+    expect(ignored.map(d => [d.ordinal, d.status])).toEqual([[0, 'keep'], [1, 'delete'], [2, 'delete']]);
+
+    const permissive = analyzeDuplicates(tmxData, {}, { languages, tagStrictness: 'permissive' });
+    expect(permissive.map(d => [d.ordinal, d.status])).toEqual([[0, 'keep'], [1, 'delete']]);
+  });
+
+  test('checks dates before IDs when priorityOrder is dates', () => {
+    const tmxData = createTMX([
+      createTU('Hello', 'Bonjour', { changeId: 'a', changeDate: '20240101T000000Z' }),
+      createTU('Hello', 'Salut', { changeId: 'b', changeDate: '20240102T000000Z' })
+    ]);
+
+    const duplicates = analyzeDuplicates(
+      tmxData,
+      { changeId: ['a'], changeDate: true, priorityOrder: 'dates' },
+      { languages }
+    );
+
+    expect(duplicates.find(d => d.status === 'keep')).toMatchObject({
+      targetText: 'Salut',
+      decidedBy: 'changeDate',
+      reason: 'newer changedate 2024-01-02 00:00:00 vs 2024-01-01 00:00:00'
+    });
+  });
+
+  test('keeps the top units of each group when keepCount is set', () => {
+    const tmxData = createTMX([
+      createTU('Hello', 'Bonjour', { creationId: 'c' }),
+      createTU('Hello', 'Salut', { creationId: 'a' }),
+      createTU('Hello', 'Coucou', { creationId: 'b' }),
+      createTU('Goodbye', 'Au revoir', { creationId: 'a' }),
+      createTU('Goodbye', 'Adieu', { creationId: 'b' })
+    ]);
+
+    const duplicates = analyzeDuplicates(tmxData, { creationId: ['a', 'b', 'c'], keepCount: 2 }, { languages });
+
+    expect(duplicates.map(d => [d.targetText, d.status, d.decidedBy])).toEqual([
+      ['Salut', 'keep', 'creationId'],
+      ['Coucou', 'keep', 'creationId'],
+      ['Bonjour', 'delete', 'creationId'],
+      ['Au revoir', 'keep', 'keepCount'],
+      ['Adieu', 'keep', 'keepCount']
+    ]);
+    expect(duplicates[1].reason).toBe("creationid 'b' ranked #2 vs 'c' ranked #3");
+    expect(duplicates[2].reason).toBe("creationid 'c' ranked #3 vs kept 'b' ranked #2");
+  });
+
+  test('falls back to file order when no rule separates the units', () => {
+    const tmxData = createTMX([createTU('Hello', 'Bonjour'), createTU('hello', 'Salut')]);
+
+    const duplicates = analyzeDuplicates(tmxData, {}, { languages });
+
+    expect(duplicates.map(d => [d.targetText, d.status, d.decidedBy])).toEqual([
+      ['Bonjour', 'keep', 'fileOrder'],
+      ['Salut', 'delete', 'fileOrder']
+    ]);
+  });
+
+  test('groups near-identical sources with fuzzy matching', () => {
+    const tmxData = createTMX([
+      createTU('Click Save to store your changes', 'Cliquez sur Enregistrer'),
+      createTU('Click Save to store your changes.', 'Cliquez sur Enregistrer.'),
+      createTU('Click Open to load a file', 'Cliquez sur Ouvrir')
+    ]);
+
+    expect(analyzeDuplicates(tmxData, {}, { languages })).toHaveLength(0);
+
+    const duplicates = analyzeDuplicates(tmxData, {}, { languages, fuzzyMatching: true, similarityThreshold: 95 });
+    expect(duplicates.map(d => [d.ordinal, d.status, d.similarity])).toEqual([
+      [0, 'keep', 100],
+      [1, 'delete', 96]
+    ]);
+    expect(() => analyzeDuplicates(tmxData, {}, { languages, fuzzyMatching: true, similarityThreshold: 20 }))
+      .toThrow('Invalid similarity threshold');
+  });
+});
+
+describe('createDuplicateFilter', () => {
+  test('removes exactly the chosen copy of identical units', () => {
+    const tmxData = createTMX([createTU('Hello', 'Bonjour'), createTU('Hello', 'Bonjour')]);
+    const duplicates = analyzeDuplicates(tmxData, {}, { languages })
+      .map(d => ({ ...d, status: d.status === 'keep' ? 'delete' : 'keep' }));
+
+    const isKept = createDuplicateFilter(duplicates);
+
+    expect([isKept(0), isKept(1)]).toEqual([false, true]);
+  });
+
+  test('uses the file position recorded by the stream parser', () => {
+    const first = { ...createTU('Hello', 'Bonjour', { creationId: 'b' }), ordinal: 4 };
+    const second = { ...createTU('Hello', 'Salut', { creationId: 'a' }), ordinal: 7 };
+
+    const duplicates = analyzeDuplicates(createTMX([first, second]), { creationId: ['a'] }, { languages });
+
+    expect(duplicates.map(d => [d.ordinal, d.status])).toEqual([[7, 'keep'], [4, 'delete']]);
+  });
+});
+
+describe('createDuplicateReport', () => {
+  test('groups kept and deleted units by group key', () => {
+    const tmxData = createTMX([
+      createTU('Hello', 'Bonjour', { creationId: 'b' }),
+      createTU('Hello', 'Salut', { creationId: 'a' })
+    ]);
+    const duplicates = analyzeDuplicates(tmxData, { creationId: ['a'] }, { languages, tagStrictness: 'ignore' });
+
+    const report = createDuplicateReport(duplicates, { languages });
+
+    expect(report.basis).toBe('analysis');
+    expect(report.summary).toEqual({ groups: 1, units: 2, kept: 1, deleted: 1 });
+    expect(report.groups[0]).toMatchObject({
+      key: 'hello',
+      decidedBy: 'creationId',
+      kept: [{ sourceText: 'Hello', targets: [{ language: 'fr', text: 'Salut' }], creationId: 'a' }],
+      deleted: [{ targets: [{ language: 'fr', text: 'Bonjour' }], creationId: 'b' }]
+    });
+  });
+
+  test('marks reports of a review and counts manual decisions', () => {
+    const tmxData = createTMX([createTU('Hello', 'Bonjour'), createTU('Hello', 'Salut')]);
+    const [first, second] = analyzeDuplicates(tmxData, {}, { languages, tagStrictness: 'ignore' });
+    const reviewed = [{ ...first, status: 'delete', decidedBy: 'manual' }, { ...second, status: 'keep', decidedBy: 'manual' }];
+
+    const report = createDuplicateReport(reviewed, { languages, review: true });
+
+    expect(report).toMatchObject({ basis: 'review', manualDecisions: 2 });
+    expect(report.groups[0].kept[0].targets[0].text).toBe('Salut');
+  });
+});
\ No newline at end of file
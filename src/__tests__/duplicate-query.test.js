@@ -0,0 +1,54 @@
+import { indexDuplicateGroups, queryDuplicateGroups } from '../utils/duplicate-query.js';
+
+function createEntry(groupId, targetText, status, changeDate) {
+  return { groupId, sourceText: `Source ${groupId}`, targetText, targets: [{ language: 'fr', text: targetText }], status, changeDate };
+}
+
+const duplicates = [
+  createEntry('a', 'Bonjour', 'keep', '20240103T000000Z'),
+  createEntry('a', 'Salut', 'delete', '20240101T000000Z'),
+  createEntry('b', 'Merci', 'keep', '20240102T000000Z'),
+  createEntry('b', 'Merci bien', 'delete', '20240104T000000Z'),
+  createEntry('c', 'Au revoir', 'keep', '20240105T000000Z'),
+  createEntry('c', 'Adieu', 'delete', '20240101T000000Z')
+];
+
+describe('queryDuplicateGroups', () => {
+  const groups = indexDuplicateGroups(duplicates);
+
+  test('pages whole groups', () => {
+    const page = queryDuplicateGroups(groups, { pageIndex: 1, pageSize: 2 });
+
+    expect(page.rows.map(row => row.targetText)).toEqual(['Au revoir', 'Adieu']);
+    expect(page).toMatchObject({ groupCount: 3, unitCount: 6, pageCount: 2 });
+  });
+
+  test('keeps only matching units and drops empty groups', () => {
+    const page = queryDuplicateGroups(groups, { columnFilters: [{ id: 'targetText', value: 'merci' }, { id: 'status', value: 'delete' }] });
+
+    expect(page.rows.map(row => row.targetText)).toEqual(['Merci bien']);
+    expect(page).toMatchObject({ groupCount: 1, unitCount: 1 });
+  });
+
+  test('searches source and target text', () => {
+    const page = queryDuplicateGroups(groups, { globalFilter: 'ADIEU' });
+
+    expect(page.rows.map(row => row.targetText)).toEqual(['Adieu']);
+  });
+
+  test('filters by date range and group size', () => {
+    const page = queryDuplicateGroups(groups, {
+      columnFilters: [{ id: 'changeDate', value: { from: '2024-01-02', to: '2024-01-04' } }]
+    });
+    expect(page.rows.map(row => row.targetText)).toEqual(['Bonjour', 'Merci', 'Merci bien']);
+
+    const large = queryDuplicateGroups(groups, { groupSize: { min: 3 } });
+    expect(large.groupCount).toBe(0);
+  });
+
+  test('sorts groups by the unit they keep', () => {
+    const page = queryDuplicateGroups(groups, { sorting: [{ id: 'changeDate', desc: true }] });
+
+    expect(page.rows.filter(row => row.status === 'keep').map(row => row.groupId)).toEqual(['c', 'a', 'b']);
+  });
+});
@@ -0,0 +1,63 @@
+import { mergeSimilarGroups, getSimilarity } from '../utils/fuzzy-matcher.js';
+
+const unit = (ordinal) => ({ ordinal });
+
+describe('mergeSimilarGroups', () => {
+  test('merges near-identical keys and restores file order', () => {
+    const groups = new Map([
+      ['the quick brown fox jumps over the lazy dog', [unit(3)]],
+      ['an entirely different sentence', [unit(1)]],
+      ['the quick brown fox jumps over the lazy dgo', [unit(0), unit(5)]]
+    ]);
+
+    const clusters = mergeSimilarGroups(groups, 0.9);
+
+    expect(clusters.size).toBe(2);
+    const merged = clusters.get('the quick brown fox jumps over the lazy dog');
+    expect(merged.map(u => u.ordinal)).toEqual([0, 3, 5]);
+    expect(merged.map(u => u.similarity)).toEqual([95, 100, 95]);
+    expect(clusters.get('an entirely different sentence')[0].similarity).toBe(100);
+  });
+
+  test('keeps keys below the threshold or with different tag signatures apart', () => {
+    const groups = new Map([
+      ['save the file', [unit(0)]],
+      ['save the files', [unit(1)]],
+      ['save the file\u00001', [unit(2)]]
+    ]);
+
+    expect(mergeSimilarGroups(groups, 0.95).size).toBe(3);
+    expect(mergeSimilarGroups(groups, 0.9).size).toBe(2);
+  });
+
+  test('merges keys exactly at the threshold', () => {
+    const groups = new Map([
+      ['abcdefghij', [unit(0)]],
+      ['abcdefghiX', [unit(1)]],
+      ['abcdefghijklmnopqrst', [unit(2)]],
+      ['abcdefghijkXXXXXXXXX', [unit(3)]]
+    ]);
+
+    expect(mergeSimilarGroups(groups, 0.9).get('abcdefghij').map(u => u.similarity)).toEqual([100, 90]);
+    expect(mergeSimilarGroups(groups, 0.55).get('abcdefghijklmnopqrst').map(u => u.similarity)).toEqual([100, 55]);
+  });
+
+  test('rejects invalid thresholds', () => {
+    expect(() => mergeSimilarGroups(new Map(), 0)).toThrow('Invalid similarity threshold');
+    expect(() => mergeSimilarGroups([], 0.9)).toThrow('Invalid groups');
+  });
+});
+
+describe('getSimilarity', () => {
+  test('scores by edit distance over the longer text', () => {
+    expect(getSimilarity('kitten', 'sitting')).toBeCloseTo(1 - 3 / 7);
+    expect(getSimilarity('same', 'same')).toBe(1);
+    expect(getSimilarity('kitten', 'sitting', 0.9)).toBe(0);
+  });
+
+  test('accepts texts exactly at the threshold', () => {
+    expect(getSimilarity('abcdefghij', 'abcdefghiX', 0.9)).toBeCloseTo(0.9);
+    expect(getSimilarity('abcdefghij', 'abcdefghXX', 0.9)).toBe(0);
+    expect(getSimilarity('abcdefghijklmnopqrst', 'abcdefghijkXXXXXXXXX', 0.55)).toBeCloseTo(0.55);
+  });
+});
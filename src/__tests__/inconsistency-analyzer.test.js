@@ -0,0 +1,54 @@
+import { findInconsistencies } from '../utils/inconsistency-analyzer.js';
+
+const languages = { source: 'en', target: 'fr' };
+
+function createTU(source, target, creationId) {
+  return {
+    '@_creationid': creationId,
+    tuv: [
+      { '@_xml:lang': 'en', seg: source },
+      { '@_xml:lang': 'fr', seg: target }
+    ]
+  };
+}
+
+describe('findInconsistencies', () => {
+  const tus = [
+    createTU('Save', 'Enregistrer', 'anna'),
+    createTU('save', 'Sauvegarder', 'ben'),
+    createTU('Save', 'enregistrer', 'carl'),
+    createTU('Store', 'Enregistrer'),
+    createTU('Open', 'Ouvrir')
+  ];
+
+  test('lists sources with several translations and targets with several sources', () => {
+    const { sources, targets } = findInconsistencies(tus, {}, languages);
+
+    expect(sources).toHaveLength(1);
+    expect(sources[0]).toMatchObject({ language: 'fr', text: 'Save', units: 3 });
+    expect(sources[0].variants.map(v => [v.text, v.count])).toEqual([['Enregistrer', 2], ['Sauvegarder', 1]]);
+    expect(sources[0].variants[0].units.map(u => [u.ordinal, u.creationId])).toEqual([[0, 'anna'], [2, 'carl']]);
+
+    expect(targets).toHaveLength(1);
+    expect(targets[0].variants.map(v => v.text)).toEqual(['Save', 'Store']);
+  });
+
+  test('checks secondary targets of units that lack the primary target', () => {
+    const multilingual = [
+      { tuv: [{ '@_xml:lang': 'en', seg: 'Save' }, { '@_xml:lang': 'de', seg: 'Speichern' }] },
+      { tuv: [{ '@_xml:lang': 'en', seg: 'Save' }, { '@_xml:lang': 'fr', seg: 'Enregistrer' }, { '@_xml:lang': 'de', seg: 'Sichern' }] }
+    ];
+
+    const { sources } = findInconsistencies(multilingual, {}, { source: 'en', target: 'fr', targets: ['fr', 'de'] });
+
+    expect(sources).toHaveLength(1);
+    expect(sources[0]).toMatchObject({ language: 'de', text: 'Save', units: 2 });
+    expect(sources[0].variants.map(v => v.text)).toEqual(['Speichern', 'Sichern']);
+  });
+
+  test('compares texts with the matching options', () => {
+    const { sources } = findInconsistencies(tus, { caseSensitive: true }, languages);
+
+    expect(sources[0].variants.map(v => v.text)).toEqual(['Enregistrer', 'enregistrer']);
+  });
+});
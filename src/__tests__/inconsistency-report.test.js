@@ -0,0 +1,34 @@
+import { createInconsistencyCSV, createInconsistencyHTML } from '../utils/inconsistency-report.js';
+
+const inconsistencies = {
+  sources: [{
+    language: 'fr',
+    text: 'Save "all"',
+    units: 2,
+    variants: [
+      { text: 'Enregistrer, tout', count: 1, units: [{ ordinal: 0, creationId: 'anna', changeDate: '20240101T000000Z' }] },
+      { text: '=Tout sauver', count: 1, units: [{ ordinal: 4, creationId: 'ben', changeDate: '20240301T000000Z' }] }
+    ]
+  }],
+  targets: []
+};
+
+describe('createInconsistencyCSV', () => {
+  test('writes one quoted row per variant and neutralizes formulas', () => {
+    const lines = createInconsistencyCSV(inconsistencies).replace('\uFEFF', '').trim().split('\r\n');
+
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toBe('Source,fr,"Save ""all""",2,"Enregistrer, tout",1,anna,,20240101T000000Z,#1');
+    expect(lines[2]).toBe('Source,fr,"Save ""all""",2,\'=Tout sauver,1,ben,,20240301T000000Z,#5');
+  });
+});
+
+describe('createInconsistencyHTML', () => {
+  test('escapes segment text', () => {
+    const html = createInconsistencyHTML(inconsistencies, { fileName: 'a<b>.tmx' });
+
+    expect(html).toContain('Save &quot;all&quot;');
+    expect(html).toContain('in a&lt;b&gt;.tmx');
+    expect(html).toContain('Targets used for several sources (0)');
+  });
+});
@@ -0,0 +1,41 @@
+import { createReviewState, reviewReducer } from '../utils/review-history.js';
+
+const duplicates = [
+  { targetText: 'Bonjour', status: 'keep' },
+  { targetText: 'Salut', status: 'delete' }
+];
+
+const setStatus = (index, status) => list =>
+  list.map((entry, i) => i === index ? { ...entry, status } : entry);
+
+const statuses = state => state.duplicates.map(entry => entry.status);
+
+describe('reviewReducer', () => {
+  test('undoes and redoes applied changes', () => {
+    let state = createReviewState(duplicates);
+    state = reviewReducer(state, { type: 'apply', update: setStatus(1, 'keep'), label: 'Keep Salut' });
+    state = reviewReducer(state, { type: 'apply', update: setStatus(0, 'delete'), label: 'Delete Bonjour' });
+
+    expect(statuses(state)).toEqual(['delete', 'keep']);
+    expect(state.past.map(step => step.changes.length)).toEqual([1, 1]);
+
+    state = reviewReducer(state, { type: 'undo' });
+    state = reviewReducer(state, { type: 'undo' });
+    expect(state.duplicates).toEqual(duplicates);
+    expect(state.duplicates[0]).toBe(duplicates[0]);
+
+    state = reviewReducer(state, { type: 'redo' });
+    expect(statuses(state)).toEqual(['keep', 'keep']);
+    expect(state.future.map(step => step.label)).toEqual(['Delete Bonjour']);
+  });
+
+  test('drops the redo stack on a new change and ignores no-op updates', () => {
+    let state = createReviewState(duplicates);
+    state = reviewReducer(state, { type: 'apply', update: setStatus(1, 'keep'), label: 'Keep Salut' });
+    state = reviewReducer(state, { type: 'undo' });
+    state = reviewReducer(state, { type: 'apply', update: setStatus(0, 'delete'), label: 'Delete Bonjour' });
+
+    expect(state.future).toEqual([]);
+    expect(reviewReducer(state, { type: 'apply', update: list => list, label: 'Nothing' })).toBe(state);
+  });
+});
@@ -0,0 +1,42 @@
+import { createFileFingerprint, createSession, parseSession, matchesFingerprint } from '../utils/review-session.js';
+
+const duplicates = [
+  { ordinal: 0, groupId: 'g1', targetText: 'Bonjour', status: 'delete', decidedBy: 'manual' },
+  { ordinal: 3, groupId: 'g1', targetText: 'Salut', status: 'keep', decidedBy: 'manual' }
+];
+
+describe('review sessions', () => {
+  test('round-trip through JSON with every decision', async () => {
+    const fingerprint = await createFileFingerprint(new Blob(['<tmx/>']));
+    const session = createSession({ fingerprint, priorities: { keepCount: 1 }, options: { matchMode: 'sourcesEqual' }, duplicates });
+
+    const restored = parseSession(JSON.stringify(session));
+
+    expect(restored.duplicates).toEqual(duplicates);
+    expect(matchesFingerprint(restored, fingerprint)).toBe(true);
+  });
+
+  test('fingerprints differ when the content differs', async () => {
+    const a = await createFileFingerprint(new Blob(['<tmx>a</tmx>']));
+    const b = await createFileFingerprint(new Blob(['<tmx>b</tmx>']));
+
+    expect(a.size).toBe(b.size);
+    expect(a.hash).not.toBe(b.hash);
+  });
+
+  test('fingerprints cover the middle of large files', async () => {
+    const content = 'x'.repeat(20 * 1024 * 1024);
+    const edited = `${content.slice(0, 10 * 1024 * 1024)}y${content.slice(10 * 1024 * 1024 + 1)}`;
+
+    const a = await createFileFingerprint(new Blob([content]));
+    const b = await createFileFingerprint(new Blob([edited]));
+
+    expect(a.hash).not.toBe(b.hash);
+    expect(a.hash).toBe((await createFileFingerprint(new Blob([content]))).hash);
+  });
+
+  test('rejects files that are not sessions', () => {
+    expect(() => parseSession('{"groups": []}')).toThrow('not a TMX Duplicate Remover session');
+    expect(() => parseSession('not json')).toThrow('Invalid session file');
+  });
+});
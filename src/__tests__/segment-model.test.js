@@ -0,0 +1,43 @@
+import { parseSegmentXML, segmentToText, serializeSegment, getInlineElements, assignSegment, getTagSignature } from '../utils/segment-model.js';
+
+describe('segment model', () => {
+  const markup = 'Click <bpt i="1" type="bold">&lt;b&gt;</bpt>here<ept i="1">&lt;/b&gt;</ept> &amp; <ph x="2"/>';
+
+  test('keeps inline elements as structured nodes', () => {
+    const nodes = parseSegmentXML(markup);
+
+    expect(getInlineElements(nodes).map(node => node.tag)).toEqual(['bpt', 'ept', 'ph']);
+    expect(nodes[1]).toEqual({ tag: 'bpt', attributes: { i: '1', type: 'bold' }, children: ['<b>'] });
+  });
+
+  test('extracts translatable text without native codes', () => {
+    expect(segmentToText(parseSegmentXML(markup))).toBe('Click here & ');
+    expect(segmentToText(parseSegmentXML('<hi type="x">Bold</hi> text'))).toBe('Bold text');
+  });
+
+  test('serializes back to the original markup', () => {
+    expect(serializeSegment(parseSegmentXML(markup))).toBe(markup);
+  });
+
+  test('only keeps content on TUVs that have markup', () => {
+    expect(assignSegment({}, parseSegmentXML('Plain &amp; simple'))).toEqual({ seg: 'Plain & simple' });
+    expect(assignSegment({}, parseSegmentXML(markup)).content).toHaveLength(6);
+  });
+
+  test('compares tags according to strictness', () => {
+    const bold = parseSegmentXML('A <bpt i="1">&lt;b&gt;</bpt>b<ept i="1">&lt;/b&gt;</ept>');
+    const italic = parseSegmentXML('A <bpt i="7">&lt;i&gt;</bpt>b<ept i="7">&lt;/i&gt;</ept>');
+    const placeholders = parseSegmentXML('A <ph x="1"/>b<ph x="2"/>');
+    const signature = (nodes, strictness) => getTagSignature([nodes], strictness);
+
+    expect(signature(bold, 'permissive')).toBe(signature(placeholders, 'permissive'));
+    expect(signature(bold, 'medium')).toBe(signature(italic, 'medium'));
+    expect(signature(bold, 'medium')).not.toBe(signature(placeholders, 'medium'));
+    expect(signature(bold, 'strict')).not.toBe(signature(italic, 'strict'));
+    expect(signature(bold, 'ignore')).toBe('');
+  });
+
+  test('rejects unbalanced markup', () => {
+    expect(() => parseSegmentXML('<bpt i="1">open')).toThrow('unclosed <bpt>');
+  });
+});
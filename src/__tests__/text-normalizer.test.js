@@ -0,0 +1,79 @@
+import { normalizeMatchText, compileCustomRules } from '../utils/text-normalizer.js';
+
+describe('normalizeMatchText', () => {
+  test('keeps the previous behaviour by default', () => {
+    expect(normalizeMatchText('  Hello,   World! ', {})).toBe('hello, world!');
+    expect(normalizeMatchText('Hello, World!', { ignorePunctuation: true })).toBe('hello world');
+  });
+
+  test('applies the Unicode normalization form', () => {
+    const decomposed = 'Cafe\u0301';
+    expect(normalizeMatchText(decomposed, {})).toBe('caf\u00E9');
+    expect(normalizeMatchText(decomposed, { unicodeForm: 'none' })).toBe('cafe\u0301');
+    expect(normalizeMatchText('\uFF21\uFF22\u2026', { unicodeForm: 'NFKC' })).toBe('ab...');
+  });
+
+  test('folds French spacing, quotes and dashes', () => {
+    const french = '\u00AB\u00A0Bonjour\u202F!\u00A0\u00BB l\u2019ami \u2014 oui';
+    const options = { foldSpaces: true, foldQuotes: true, foldDashes: true };
+
+    expect(normalizeMatchText(french, options)).toBe(normalizeMatchText('"Bonjour!" l\'ami - oui', options));
+    expect(normalizeMatchText(french, {})).not.toBe(normalizeMatchText('"Bonjour!" l\'ami - oui', {}));
+  });
+
+  test('strips every punctuation character with the unicode set', () => {
+    const options = { ignorePunctuation: true, punctuationSet: 'unicode' };
+
+    expect(normalizeMatchText('\u00ABOui\u00BB\u2026 \uFF01', options)).toBe('oui');
+    expect(normalizeMatchText('\u00ABOui\u00BB\u2026', { ignorePunctuation: true })).toBe('\u00ABoui\u00BB\u2026');
+  });
+
+  test('folds case by the rules of the segment language', () => {
+    expect(normalizeMatchText('D\u0130YARBAKIR', {}, { language: 'tr-TR' })).toBe('diyarbak\u0131r');
+    expect(normalizeMatchText('D\u0130YARBAKIR', {}, { language: 'tr' })).toBe(normalizeMatchText('Diyarbak\u0131r', {}, { language: 'tr' }));
+    expect(normalizeMatchText('IRMAK', {}, { language: 'en' })).toBe('irmak');
+    expect(normalizeMatchText('STRASSE', {}, { language: 'de' })).toBe(normalizeMatchText('Stra\u00DFe', {}, { language: 'de' }));
+    expect(normalizeMatchText('\u039F\u0394\u039F\u03A3', {}, { language: 'el' })).toBe(normalizeMatchText('\u03BF\u03B4\u03BF\u03C3', {}, { language: 'el' }));
+    expect(normalizeMatchText('STRASSE', { caseSensitive: true }, { language: 'de' })).toBe('STRASSE');
+  });
+
+  test('masks numbers, URLs, emails and placeholders', () => {
+    const options = { maskNumbers: true, maskUrls: true, maskEmails: true, maskPlaceholders: true };
+
+    expect(normalizeMatchText('Page 3 of 10', options)).toBe(normalizeMatchText('Page 4 of 12', options));
+    expect(normalizeMatchText('Due 2024-01-31, total 1,250.50', options)).toBe('due <number>, total <number>');
+    expect(normalizeMatchText('See https://example.com/a?b=1.', options)).toBe('see <url>.');
+    expect(normalizeMatchText('Write to anna.b@example.co.uk', options)).toBe('write to <email>');
+    expect(normalizeMatchText('Hello {0}, you have %d items in ${cart}', options))
+      .toBe('hello <placeholder>, you have <placeholder> items in <placeholder>');
+    expect(normalizeMatchText('50 % sure', options)).toBe('<number> % sure');
+    expect(normalizeMatchText('Page 3', { maskUrls: true })).toBe('page 3');
+  });
+
+  test('applies custom rules in order and by side before the other options', () => {
+    const options = {
+      customRules: [
+        { pattern: '\\s*\\(copy\\)$', replacement: '', flags: 'i' },
+        { pattern: '\u200B', replacement: '' },
+        { pattern: 'e-mail', replacement: 'email', scope: 'target' },
+        { pattern: 'email', replacement: 'mail', scope: 'target' }
+      ]
+    };
+
+    expect(normalizeMatchText('Report (Copy)', options, { side: 'source' })).toBe('report');
+    expect(normalizeMatchText('Send\u200B e-mail', options, { side: 'target' })).toBe('send mail');
+    expect(normalizeMatchText('Send e-mail', options, { side: 'source' })).toBe('send e-mail');
+  });
+
+  test('rejects invalid custom rules', () => {
+    expect(() => compileCustomRules([{ pattern: 'ok' }, { pattern: '(' }])).toThrow('Invalid custom rule 2');
+    expect(() => compileCustomRules([{ pattern: '' }])).toThrow('missing pattern');
+    expect(() => compileCustomRules([{ pattern: 'a', scope: 'notes' }])).toThrow('scope must be one of');
+  });
+
+  test('keeps mask tokens when punctuation is ignored', () => {
+    const options = { maskNumbers: true, ignorePunctuation: true, punctuationSet: 'unicode' };
+
+    expect(normalizeMatchText('Step 2: done.', options)).toBe('step <number> done');
+  });
+});
@@ -0,0 +1,27 @@
+import { parseTMXContent } from '../utils/tmx-core.js';
+import { buildProp, buildNote } from '../utils/tmx-builder.js';
+
+function parseTU(tuXML) {
+  const tmx = `<tmx version="1.4"><header srclang="en"/><body>${tuXML}</body></tmx>`;
+  return parseTMXContent(tmx).tmx.body.tu[0];
+}
+
+describe('tmx builder', () => {
+  test('writes context props back unchanged', () => {
+    const props = [
+      '<prop type="x-context-pre">ctx &amp; more</prop>',
+      '<prop type="x-context-post">&lt;seg&gt;Next &amp; last&lt;/seg&gt;</prop>',
+      '<prop type="client">C000274</prop>'
+    ];
+    const tu = parseTU(`<tu>${props.join('')}<tuv xml:lang="en"><seg>Hello</seg></tuv><tuv xml:lang="fr"><seg>Bonjour</seg></tuv></tu>`);
+
+    expect(tu.prop.map(buildProp)).toEqual(props);
+  });
+
+  test('writes note attributes and text', () => {
+    const note = '<note xml:lang="en">Check &lt;b&gt; tags</note>';
+    const tu = parseTU(`<tu>${note}<tuv xml:lang="en"><seg>Hello</seg></tuv><tuv xml:lang="fr"><seg>Bonjour</seg></tuv></tu>`);
+
+    expect(buildNote(tu.note[0])).toBe(note);
+  });
+});
@@ -0,0 +1,139 @@
+import { useState } from 'react'
+import { FiArrowUp, FiArrowDown, FiTrash2, FiPlus, FiAlertTriangle } from 'react-icons/fi'
+import { compileCustomRules, applyCustomRules, normalizeMatchText } from '../utils/text-normalizer'
+
+const inputClass = 'bg-[#1e1e1e] text-white border border-[#353535] rounded-md p-2'
+const iconButtonClass = 'p-2 rounded-md border border-[#353535] text-white hover:bg-[#353535] transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+
+function getRuleError(rule) {
+  try {
+    compileCustomRules([rule])
+    return null
+  } catch (error) {
+    return error.message.replace(/^Invalid custom rule 1: /, '')
+  }
+}
+
+// Ordered regex find/replace rules, with a sample segment to try them on. languages ({ source, target }) lets
+// the preview fold case the way the analysis will
+export default function CustomRulesEditor({ rules, options, languages, onChange }) {
+  const [sample, setSample] = useState('')
+  const [sampleSide, setSampleSide] = useState('source')
+
+  const errors = rules.map(getRuleError)
+  const validRules = rules.filter((rule, index) => !errors[index])
+
+  const updateRule = (index, changes) => {
+    onChange(rules.map((rule, i) => i === index ? { ...rule, ...changes } : rule))
+  }
+
+  const moveRule = (index, offset) => {
+    const reordered = [...rules]
+    const [rule] = reordered.splice(index, 1)
+    reordered.splice(index + offset, 0, rule)
+    onChange(reordered)
+  }
+
+  return (
+    <div className="bg-[#2d2d2d] p-4 rounded-lg border border-[#353535] space-y-4">
+      <h3 className="text-white">Custom Rules</h3>
+
+      {rules.map((rule, index) => (
+        <div key={index} className="space-y-1">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="w-6 text-right">{index + 1}.</span>
+            <input
+              type="text"
+              value={rule.pattern}
+              onChange={(e) => updateRule(index, { pattern: e.target.value })}
+              placeholder="Regular expression, e.g. \s*\(copy\)$"
+              className={`${inputClass} flex-1 min-w-[10rem] font-mono`}
+            />
+            <input
+              type="text"
+              value={rule.replacement || ''}
+              onChange={(e) => updateRule(index, { replacement: e.target.value })}
+              placeholder="Replace with"
+              className={`${inputClass} flex-1 min-w-[8rem] font-mono`}
+            />
+            <input
+              type="text"
+              value={rule.flags || ''}
+              onChange={(e) => updateRule(index, { flags: e.target.value })}
+              placeholder="Flags"
+              title="Regular expression flags such as i or u; every match is always replaced"
+              className={`${inputClass} w-20 font-mono`}
+            />
+            <select
+              value={rule.scope || 'both'}
+              onChange={(e) => updateRule(index, { scope: e.target.value })}
+              className={inputClass}
+            >
+              <option value="both">Source and target</option>
+              <option value="source">Source only</option>
+              <option value="target">Target only</option>
+            </select>
+            <button type="button" className={iconButtonClass} disabled={index === 0} onClick={() => moveRule(index, -1)} title="Move up">
+              <FiArrowUp />
+            </button>
+            <button type="button" className={iconButtonClass} disabled={index === rules.length - 1} onClick={() => moveRule(index, 1)} title="Move down">
+              <FiArrowDown />
+            </button>
+            <button type="button" className={iconButtonClass} onClick={() => onChange(rules.filter((_, i) => i !== index))} title="Remove rule">
+              <FiTrash2 />
+            </button>
+          </div>
+          {errors[index] && (
+            <div className="flex items-center gap-2 text-sm text-red-500 ml-8">
+              <FiAlertTriangle className="shrink-0" />
+              {errors[index]}
+            </div>
+          )}
+        </div>
+      ))}
+
+      <button
+        type="button"
+        className="flex items-center gap-2 px-3 py-2 rounded-md border border-[#353535] text-white hover:bg-[#353535] transition-colors"
+        onClick={() => onChange([...rules, { pattern: '', replacement: '', flags: 'u', scope: 'both' }])}
+      >
+        <FiPlus />
+        Add Rule
+      </button>
+
+      {rules.length > 0 && (
+        <div className="space-y-2">
+          <label className="block text-white">Try the rules on a segment</label>
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              value={sample}
+              onChange={(e) => setSample(e.target.value)}
+              placeholder="Paste a source or target text"
+              className={`${inputClass} flex-1 min-w-[12rem]`}
+            />
+            <select value={sampleSide} onChange={(e) => setSampleSide(e.target.value)} className={inputClass}>
+              <option value="source">As source</option>
+              <option value="target">As target</option>
+            </select>
+          </div>
+          {sample && (
+            <div className="text-sm space-y-1">
+              <div>After rules: <span className="text-white font-mono whitespace-pre-wrap">{applyCustomRules(sample, validRules, sampleSide)}</span></div>
+              <div>
+                Compared as:{' '}
+                <span className="text-white font-mono whitespace-pre-wrap">
+                  {normalizeMatchText(sample, { ...options, customRules: validRules }, { side: sampleSide, language: languages?.[sampleSide] })}
+                </span>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="text-sm text-gray-400">
+        Rules run in order on the original text, before the options above, and are saved with profiles and sessions
+      </div>
+    </div>
+  )
+}
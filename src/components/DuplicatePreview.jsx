@@ -1,12 +1,48 @@
-import { useState, useCallback, useEffect } from 'react'
-import { useReactTable, getCoreRowModel, flexRender, createColumnHelper } from '@tanstack/react-table'
-import { FiCheck, FiX } from 'react-icons/fi'
+import { useState, useCallback, useEffect, useMemo, useReducer, useRef } from 'react'
+import {
+  useReactTable,
+  getCoreRowModel,
+  getGroupedRowModel,
+  getExpandedRowModel,
+  flexRender,
+  createColumnHelper
+} from '@tanstack/react-table'
+import { useVirtualizer } from '@tanstack/react-virtual'
+import {
+  FiCheck,
+  FiX,
+  FiChevronDown,
+  FiChevronRight,
+  FiChevronLeft,
+  FiChevronsLeft,
+  FiChevronsRight,
+  FiArrowUp,
+  FiArrowDown,
+  FiSearch,
+  FiRotateCcw,
+  FiRotateCw
+} from 'react-icons/fi'
+import SegmentText from './SegmentText'
+import { indexDuplicateGroups, queryDuplicateGroups, getFilterOptions, getGroupId } from '../utils/duplicate-query'
+import {
+  setUnitStatus,
+  keepAllInGroups,
+  keepNewestInGroups,
+  keepCreatorInGroups,
+  revertGroups
+} from '../utils/duplicate-actions'
+import { createReviewState, reviewReducer } from '../utils/review-history'
 
 const columnHelper = createColumnHelper()
 
+const PAGE_SIZES = [25, 50, 100, 250]
+const ESTIMATED_ROW_HEIGHT = 64
+const inputClass = 'w-full bg-[#1e1e1e] text-white border border-[#353535] rounded-md px-2 py-1 text-sm font-normal'
+const toolbarButtonClass = 'px-3 py-1 rounded-md border border-[#353535] text-white hover:bg-[#353535] transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+
 const formatTMXDate = (tmxDate) => {
   if (!tmxDate || tmxDate === '-') return '-'
-  
+
   const year = tmxDate.substring(0, 4)
   const month = tmxDate.substring(4, 6)
   const day = tmxDate.substring(6, 8)
@@ -22,64 +58,308 @@ const formatTMXDate = (tmxDate) => {
   )
 }
 
+const truncate = (text, length = 40) => !text || text.length <= length ? text || '' : `${text.substring(0, length)}…`
+
+// Text fields keep their native undo; everywhere else the shortcuts drive the review history
+const isTextInput = (element) => element?.tagName === 'TEXTAREA' ||
+  (element?.tagName === 'INPUT' && ['text', 'number', 'date', 'search'].includes(element.type))
+
+function GroupHeader({ row, selected, onToggleSelected }) {
+  const members = row.subRows.map(subRow => subRow.original)
+  const keepers = members.filter(member => member.status === 'keep')
+  const winner = keepers[0]
+  const [key, tagSignature] = (members[0]?.groupKey || '').split('\u0000')
+
+  return (
+    <div className="flex items-center gap-3 text-sm">
+      <input
+        type="checkbox"
+        checked={selected}
+        onChange={onToggleSelected}
+        onClick={(e) => e.stopPropagation()}
+        className="shrink-0"
+      />
+      {row.getIsExpanded() ? <FiChevronDown className="shrink-0" /> : <FiChevronRight className="shrink-0" />}
+      <span className="text-white truncate max-w-md" title={tagSignature ? `Tags: ${tagSignature}` : undefined}>
+        {key || '-'}
+      </span>
+      <span className="shrink-0">{members.length} units</span>
+      {winner ? (
+        <span className="flex items-center gap-1 text-green-500 truncate" title={winner.reason}>
+          <FiCheck className="shrink-0" />
+          {winner.targetText}
+          <span className="text-[#676767]">({winner.changeId || winner.creationId || '-'})</span>
+          {keepers.length > 1 && <span className="text-[#676767]">+{keepers.length - 1} more kept</span>}
+        </span>
+      ) : (
+        <span className="flex items-center gap-1 text-red-500">
+          <FiX className="shrink-0" />
+          No unit kept
+        </span>
+      )}
+    </div>
+  )
+}
+
+function ColumnFilter({ column, table }) {
+  const value = column.getFilterValue() ?? ''
+  const filter = column.columnDef.meta?.filter
+
+  if (filter === 'select') {
+    return (
+      <select
+        value={value}
+        onChange={(e) => column.setFilterValue(e.target.value || undefined)}
+        className={inputClass}
+      >
+        <option value="">All</option>
+        {(table.options.meta?.filterOptions?.[column.id] || []).map(option => (
+          <option key={option} value={option}>{option}</option>
+        ))}
+      </select>
+    )
+  }
+
+  if (filter === 'dateRange') {
+    const range = value || {}
+    const setBound = (bound, date) => {
+      const next = { ...range, [bound]: date || undefined }
+      column.setFilterValue(next.from || next.to ? next : undefined)
+    }
+    return (
+      <div className="space-y-1">
+        <input type="date" value={range.from || ''} onChange={(e) => setBound('from', e.target.value)} className={inputClass} title="From" />
+        <input type="date" value={range.to || ''} onChange={(e) => setBound('to', e.target.value)} className={inputClass} title="To" />
+      </div>
+    )
+  }
+
+  if (filter === 'status') {
+    return (
+      <select
+        value={value}
+        onChange={(e) => column.setFilterValue(e.target.value || undefined)}
+        className={inputClass}
+      >
+        <option value="">All</option>
+        <option value="keep">Keep</option>
+        <option value="delete">Delete</option>
+      </select>
+    )
+  }
+
+  return (
+    <input
+      type="text"
+      value={value}
+      onChange={(e) => column.setFilterValue(e.target.value || undefined)}
+      placeholder="Filter..."
+      className={inputClass}
+    />
+  )
+}
+
+function ChangeLog({ past, future }) {
+  // Newest first; undone steps stay listed until a new change replaces them
+  const steps = [
+    ...[...future].reverse().map(step => ({ step, undone: true })),
+    ...[...past].reverse().map(step => ({ step, undone: false }))
+  ]
+
+  return (
+    <details className="mt-4 text-sm">
+      <summary className="cursor-pointer text-white">
+        Change Log ({past.length} {past.length === 1 ? 'change' : 'changes'})
+      </summary>
+      {steps.length === 0 ? (
+        <p className="mt-2">No manual changes yet.</p>
+      ) : (
+        <ul className="mt-2 space-y-1 max-h-60 overflow-auto">
+          {steps.map(({ step, undone }, index) => (
+            <li
+              key={index}
+              className={`flex justify-between gap-4 ${undone ? 'text-[#676767] line-through' : 'text-white'}`}
+            >
+              <span>{step.label}</span>
+              <span className="shrink-0 text-[#676767]">
+                {step.changes.length.toLocaleString()} units · {new Date(step.time).toLocaleTimeString()}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  )
+}
+
+function PaginationControls({ table }) {
+  const { pageIndex, pageSize } = table.getState().pagination
+  const buttonClass = 'p-2 rounded-md border border-[#353535] text-white hover:bg-[#353535] transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+
+  return (
+    <div className="flex items-center justify-between mt-3 text-sm">
+      <div className="flex items-center gap-2">
+        <button type="button" className={buttonClass} onClick={() => table.setPageIndex(0)} disabled={!table.getCanPreviousPage()}>
+          <FiChevronsLeft />
+        </button>
+        <button type="button" className={buttonClass} onClick={() => table.previousPage()} disabled={!table.getCanPreviousPage()}>
+          <FiChevronLeft />
+        </button>
+        <span>
+          Page {(pageIndex + 1).toLocaleString()} of {Math.max(table.getPageCount(), 1).toLocaleString()}
+        </span>
+        <button type="button" className={buttonClass} onClick={() => table.nextPage()} disabled={!table.getCanNextPage()}>
+          <FiChevronRight />
+        </button>
+        <button type="button" className={buttonClass} onClick={() => table.setPageIndex(table.getPageCount() - 1)} disabled={!table.getCanNextPage()}>
+          <FiChevronsRight />
+        </button>
+      </div>
+      <select
+        value={pageSize}
+        onChange={(e) => table.setPageSize(Number(e.target.value))}
+        className="bg-[#2d2d2d] text-white border border-[#353535] rounded-md p-1"
+      >
+        {PAGE_SIZES.map(size => (
+          <option key={size} value={size}>{size} groups per page</option>
+        ))}
+      </select>
+    </div>
+  )
+}
+
 export default function DuplicatePreview({ duplicates: initialDuplicates, onStatusChange }) {
-  const [duplicates, setDuplicates] = useState(initialDuplicates)
+  const [review, dispatch] = useReducer(reviewReducer, initialDuplicates, createReviewState)
+  const { duplicates, past, future } = review
+  const [expanded, setExpanded] = useState({})
+  const [sorting, setSorting] = useState([])
+  const [columnFilters, setColumnFilters] = useState([])
+  const [globalFilter, setGlobalFilter] = useState('')
+  const [groupSize, setGroupSize] = useState({ min: '', max: '' })
+  const [pagination, setPagination] = useState({ pageIndex: 0, pageSize: PAGE_SIZES[1] })
+  const [selectedGroups, setSelectedGroups] = useState(() => new Set())
+  const [bulkCreator, setBulkCreator] = useState('')
+  const scrollRef = useRef(null)
+  const emittedRef = useRef(initialDuplicates)
 
+  // App hands every edit straight back as props; only a new analysis starts a fresh review
   useEffect(() => {
-    setDuplicates(initialDuplicates)
+    if (initialDuplicates === emittedRef.current) return
+    emittedRef.current = initialDuplicates
+    dispatch({ type: 'reset', duplicates: initialDuplicates })
+    setSelectedGroups(new Set())
   }, [initialDuplicates])
 
-  const handleStatusChange = useCallback((rowIndex, newStatus) => {
-    setDuplicates(prevDuplicates => {
-      const currentRow = prevDuplicates[rowIndex]
-      const updatedDuplicates = prevDuplicates.map(dup => {
-        if (dup.sourceText === currentRow.sourceText && 
-            dup.targetText === currentRow.targetText) {
-          return {
-            ...dup,
-            status: dup === currentRow ? newStatus : 'delete'
-          }
-        }
-        return dup
-      })
-      
-      if (onStatusChange) {
-        onStatusChange(updatedDuplicates)
-      }
-      
-      return updatedDuplicates
+  useEffect(() => {
+    if (duplicates === emittedRef.current) return
+    emittedRef.current = duplicates
+    if (onStatusChange) {
+      onStatusChange(duplicates)
+    }
+  }, [duplicates, onStatusChange])
+
+  const handleStatusChange = useCallback((currentRow, newStatus) => {
+    dispatch({
+      type: 'apply',
+      update: prevDuplicates => setUnitStatus(prevDuplicates, currentRow, newStatus),
+      label: `Set "${truncate(currentRow.targetText)}" to ${newStatus}`
     })
-  }, [onStatusChange])
+  }, [])
+
+  const undo = useCallback(() => dispatch({ type: 'undo' }), [])
+  const redo = useCallback(() => dispatch({ type: 'redo' }), [])
 
-  const columns = [
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isTextInput(e.target)) return
+
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        undo()
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        redo()
+      } else {
+        return
+      }
+      e.preventDefault()
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [undo, redo])
+
+  const columns = useMemo(() => [
+    columnHelper.accessor('groupId', {
+      header: 'Group'
+    }),
+    columnHelper.accessor('ordinal', {
+      header: 'Unit',
+      // Position of the unit in the file; the output writer removes units by this position
+      cell: info => {
+        const position = info.getValue() === undefined ? '-' : `#${(info.getValue() + 1).toLocaleString()}`
+        const { similarity } = info.row.original
+        if (similarity === undefined || similarity === 100) return position
+        // Fuzzy matches show how close their text is to the group's first text
+        return (
+          <div>
+            {position}
+            <div className="text-xs text-yellow-500" title="Similarity to the text this group was matched on">
+              {similarity}% similar
+            </div>
+          </div>
+        )
+      },
+      size: 80
+    }),
     columnHelper.accessor('sourceText', {
       header: 'Source Language',
-      cell: info => info.getValue(),
+      cell: info => <SegmentText text={info.getValue()} content={info.row.original.sourceContent} />,
+      meta: { filter: 'text' },
       size: 200
     }),
     columnHelper.accessor('targetText', {
       header: 'Target Language',
-      cell: info => info.getValue(),
+      cell: info => {
+        const targets = info.row.original.targets
+        if (!targets || targets.length < 2) {
+          return <SegmentText text={info.getValue()} content={info.row.original.targetContent} />
+        }
+        return (
+          <div className="space-y-1">
+            {targets.map(target => (
+              <div key={target.language}>
+                <span className="text-[#676767] mr-2">{target.language}</span>
+                <SegmentText text={target.text} content={target.content} />
+              </div>
+            ))}
+          </div>
+        )
+      },
+      meta: { filter: 'text' },
       size: 200
     }),
     columnHelper.accessor('creationId', {
       header: 'Creation ID',
       cell: info => info.getValue() || '-',
+      meta: { filter: 'select' },
       size: 120
     }),
     columnHelper.accessor('changeId', {
       header: 'Change ID',
       cell: info => info.getValue() || '-',
+      meta: { filter: 'select' },
       size: 120
     }),
     columnHelper.accessor('creationDate', {
       header: 'Creation Date',
       cell: info => formatTMXDate(info.getValue()),
+      meta: { filter: 'dateRange' },
       size: 120
     }),
     columnHelper.accessor('changeDate', {
       header: 'Change Date',
       cell: info => formatTMXDate(info.getValue()),
+      meta: { filter: 'dateRange' },
       size: 120
     }),
     columnHelper.accessor('status', {
@@ -87,10 +367,11 @@ export default function DuplicatePreview({ duplicates: initialDuplicates, onStat
       cell: info => (
         <select
           value={info.getValue()}
-          onChange={(e) => handleStatusChange(info.row.index, e.target.value)}
+          title={info.row.original.reason}
+          onChange={(e) => handleStatusChange(info.row.original, e.target.value)}
           className={`px-2 py-1 rounded-md border ${
-            info.getValue() === 'keep' 
-              ? 'bg-green-500 bg-opacity-10 border-green-500 text-green-500' 
+            info.getValue() === 'keep'
+              ? 'bg-green-500 bg-opacity-10 border-green-500 text-green-500'
               : 'bg-red-500 bg-opacity-10 border-red-500 text-red-500'
           }`}
         >
@@ -98,32 +379,276 @@ export default function DuplicatePreview({ duplicates: initialDuplicates, onStat
           <option value="delete">Delete</option>
         </select>
       ),
+      meta: { filter: 'status' },
       size: 100
+    }),
+    columnHelper.accessor('reason', {
+      header: 'Reason',
+      cell: info => <span className="text-sm">{info.getValue() || '-'}</span>,
+      meta: { filter: 'text' },
+      size: 200
     })
-  ]
+  ], [handleStatusChange])
+
+  // Only the current page reaches react-table; building row objects for every unit would not fit in memory
+  const groups = useMemo(() => indexDuplicateGroups(duplicates), [duplicates])
+  const page = useMemo(
+    () => queryDuplicateGroups(groups, { columnFilters, globalFilter, groupSize, sorting, ...pagination }),
+    [groups, columnFilters, globalFilter, groupSize, sorting, pagination]
+  )
+  const filterOptions = useMemo(() => ({
+    creationId: getFilterOptions(groups, 'creationId'),
+    changeId: getFilterOptions(groups, 'changeId')
+  }), [groups])
+
+  // Bulk actions only touch selected groups that still match the current filters
+  const selectedGroupIds = useMemo(
+    () => page.groupIds.filter(id => selectedGroups.has(id)),
+    [page.groupIds, selectedGroups]
+  )
+  const allGroupsSelected = page.groupIds.length > 0 && selectedGroupIds.length === page.groupIds.length
+
+  const toggleGroupSelected = useCallback((groupId) => {
+    setSelectedGroups(prev => {
+      const next = new Set(prev)
+      if (next.has(groupId)) {
+        next.delete(groupId)
+      } else {
+        next.add(groupId)
+      }
+      return next
+    })
+  }, [])
+
+  const toggleAllGroupsSelected = () => {
+    setSelectedGroups(prev => {
+      const next = new Set(prev)
+      page.groupIds.forEach(id => allGroupsSelected ? next.delete(id) : next.add(id))
+      return next
+    })
+  }
+
+  const applyBulkAction = (action, label) => {
+    const groupIds = selectedGroupIds
+    dispatch({
+      type: 'apply',
+      update: prevDuplicates => action(prevDuplicates, groupIds),
+      label: `${label} in ${groupIds.length.toLocaleString()} ${groupIds.length === 1 ? 'group' : 'groups'}`
+    })
+  }
 
   const table = useReactTable({
-    data: duplicates,
+    data: page.rows,
     columns,
-    getCoreRowModel: getCoreRowModel()
+    pageCount: page.pageCount,
+    state: {
+      grouping: ['groupId'],
+      expanded,
+      sorting,
+      columnFilters,
+      globalFilter,
+      pagination,
+      columnVisibility: { groupId: false }
+    },
+    onExpandedChange: setExpanded,
+    onSortingChange: setSorting,
+    onColumnFiltersChange: setColumnFilters,
+    onGlobalFilterChange: setGlobalFilter,
+    onPaginationChange: setPagination,
+    groupedColumnMode: false,
+    manualFiltering: true,
+    manualSorting: true,
+    manualPagination: true,
+    // Status edits must not collapse groups or jump back to the first page
+    autoResetExpanded: false,
+    autoResetPageIndex: false,
+    meta: { filterOptions },
+    getCoreRowModel: getCoreRowModel(),
+    getGroupedRowModel: getGroupedRowModel(),
+    getExpandedRowModel: getExpandedRowModel()
   })
 
+  // A new filter or sort order starts again from the first page
+  useEffect(() => {
+    setPagination(prev => ({ ...prev, pageIndex: 0 }))
+  }, [columnFilters, globalFilter, groupSize, sorting])
+
+  useEffect(() => {
+    if (pagination.pageIndex >= page.pageCount) {
+      setPagination(prev => ({ ...prev, pageIndex: page.pageCount - 1 }))
+    }
+  }, [pagination.pageIndex, page.pageCount])
+
+  useEffect(() => {
+    scrollRef.current?.scrollTo({ top: 0 })
+  }, [pagination])
+
+  const rows = table.getRowModel().rows
+  const { groupCount, unitCount } = page
+
+  const rowVirtualizer = useVirtualizer({
+    count: rows.length,
+    getScrollElement: () => scrollRef.current,
+    estimateSize: () => ESTIMATED_ROW_HEIGHT,
+    overscan: 10
+  })
+
+  const virtualRows = rowVirtualizer.getVirtualItems()
+  const paddingTop = virtualRows.length > 0 ? virtualRows[0].start : 0
+  const paddingBottom = virtualRows.length > 0
+    ? rowVirtualizer.getTotalSize() - virtualRows[virtualRows.length - 1].end
+    : 0
+  const columnCount = table.getVisibleLeafColumns().length
+
   return (
     <div className="mt-6">
-      <div className="overflow-x-auto">
+      <div className="flex flex-wrap items-end gap-4 mb-3 text-sm">
+        <div className="flex-1 min-w-[16rem]">
+          <label className="block text-white mb-1">Search</label>
+          <div className="relative">
+            <FiSearch className="absolute left-2 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={globalFilter}
+              onChange={(e) => setGlobalFilter(e.target.value)}
+              placeholder="Search source and target text..."
+              className={`${inputClass} pl-8`}
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-white mb-1">Group Size</label>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min="2"
+              value={groupSize.min}
+              onChange={(e) => setGroupSize(prev => ({ ...prev, min: e.target.value }))}
+              placeholder="Min"
+              className={`${inputClass} w-20`}
+            />
+            <span>–</span>
+            <input
+              type="number"
+              min="2"
+              value={groupSize.max}
+              onChange={(e) => setGroupSize(prev => ({ ...prev, max: e.target.value }))}
+              placeholder="Max"
+              className={`${inputClass} w-20`}
+            />
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={() => {
+            setGlobalFilter('')
+            setGroupSize({ min: '', max: '' })
+            setColumnFilters([])
+            setSorting([])
+          }}
+          className="px-3 py-1 rounded-md border border-[#353535] text-white hover:bg-[#353535] transition-colors"
+        >
+          Clear Filters
+        </button>
+      </div>
+      <div className="flex items-center justify-between mb-3 text-sm">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={allGroupsSelected} onChange={toggleAllGroupsSelected} disabled={groupCount === 0} />
+          <span>
+            {groupCount.toLocaleString()} groups, {unitCount.toLocaleString()} units
+            {unitCount !== duplicates.length && ` (filtered from ${duplicates.length.toLocaleString()})`}
+          </span>
+        </label>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={undo}
+            disabled={past.length === 0}
+            title="Undo (Ctrl+Z)"
+            className={`${toolbarButtonClass} flex items-center gap-1`}
+          >
+            <FiRotateCcw />
+            Undo
+          </button>
+          <button
+            type="button"
+            onClick={redo}
+            disabled={future.length === 0}
+            title="Redo (Ctrl+Shift+Z / Ctrl+Y)"
+            className={`${toolbarButtonClass} flex items-center gap-1`}
+          >
+            <FiRotateCw />
+            Redo
+          </button>
+          <button
+            type="button"
+            onClick={table.getToggleAllRowsExpandedHandler()}
+            className={toolbarButtonClass}
+          >
+            {table.getIsAllRowsExpanded() ? 'Collapse All' : 'Expand All'}
+          </button>
+        </div>
+      </div>
+      {selectedGroupIds.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mb-3 p-3 rounded-lg bg-[#2d2d2d] text-sm">
+          <span className="text-white mr-2">{selectedGroupIds.length.toLocaleString()} groups selected</span>
+          <button type="button" className={toolbarButtonClass} onClick={() => applyBulkAction(keepAllInGroups, 'Keep all')}>
+            Keep All
+          </button>
+          <button type="button" className={toolbarButtonClass} onClick={() => applyBulkAction(keepNewestInGroups, 'Keep newest')}>
+            Keep Newest
+          </button>
+          <select
+            value={bulkCreator}
+            onChange={(e) => setBulkCreator(e.target.value)}
+            className={`${inputClass} w-auto`}
+          >
+            <option value="">Choose creator...</option>
+            {filterOptions.creationId.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className={toolbarButtonClass}
+            disabled={!bulkCreator}
+            onClick={() => applyBulkAction((list, ids) => keepCreatorInGroups(list, ids, bulkCreator), `Keep creator '${bulkCreator}'`)}
+          >
+            Keep Creator's Unit
+          </button>
+          <button type="button" className={toolbarButtonClass} onClick={() => applyBulkAction(revertGroups, 'Revert to automatic')}>
+            Revert to Automatic
+          </button>
+          <button type="button" className={`${toolbarButtonClass} ml-auto`} onClick={() => setSelectedGroups(new Set())}>
+            Clear Selection
+          </button>
+        </div>
+      )}
+      <div ref={scrollRef} className="overflow-auto max-h-[70vh]">
         <table className="w-full">
-          <thead>
+          <thead className="sticky top-0 z-10">
             {table.getHeaderGroups().map(headerGroup => (
               <tr key={headerGroup.id}>
                 {headerGroup.headers.map(header => (
                   <th
                     key={header.id}
-                    className="px-4 py-3 text-left text-white bg-[#2d2d2d] first:rounded-tl-lg last:rounded-tr-lg"
+                    className="px-4 py-3 text-left text-white bg-[#2d2d2d] align-top first:rounded-tl-lg last:rounded-tr-lg"
                     style={{ width: header.column.columnDef.size }}
                   >
-                    {flexRender(
-                      header.column.columnDef.header,
-                      header.getContext()
+                    <div
+                      className={`flex items-center gap-1 ${header.column.getCanSort() ? 'cursor-pointer select-none' : ''}`}
+                      onClick={header.column.getToggleSortingHandler()}
+                    >
+                      {flexRender(
+                        header.column.columnDef.header,
+                        header.getContext()
+                      )}
+                      {{ asc: <FiArrowUp />, desc: <FiArrowDown /> }[header.column.getIsSorted()] ?? null}
+                    </div>
+                    {header.column.getCanFilter() && header.column.columnDef.meta?.filter && (
+                      <div className="mt-2">
+                        <ColumnFilter column={header.column} table={table} />
+                      </div>
                     )}
                   </th>
                 ))}
@@ -131,28 +656,61 @@ export default function DuplicatePreview({ duplicates: initialDuplicates, onStat
             ))}
           </thead>
           <tbody>
-            {table.getRowModel().rows.map(row => (
-              <tr
-                key={row.id}
-                className="border-b border-[#2d2d2d] last:border-0"
-              >
-                {row.getVisibleCells().map(cell => (
-                  <td
-                    key={cell.id}
-                    className="px-4 py-3"
-                    style={{ width: cell.column.columnDef.size }}
-                  >
-                    {flexRender(
-                      cell.column.columnDef.cell,
-                      cell.getContext()
-                    )}
+            {paddingTop > 0 && (
+              <tr>
+                <td colSpan={columnCount} style={{ height: paddingTop }} />
+              </tr>
+            )}
+            {virtualRows.map(virtualRow => {
+              const row = rows[virtualRow.index]
+              return row.getIsGrouped() ? (
+                <tr
+                  key={row.id}
+                  data-index={virtualRow.index}
+                  ref={rowVirtualizer.measureElement}
+                  onClick={row.getToggleExpandedHandler()}
+                  className="bg-[#252525] border-b border-[#2d2d2d] cursor-pointer hover:bg-[#2d2d2d]"
+                >
+                  <td colSpan={columnCount} className="px-4 py-2">
+                    <GroupHeader
+                      row={row}
+                      selected={selectedGroups.has(getGroupId(row.subRows[0].original))}
+                      onToggleSelected={() => toggleGroupSelected(getGroupId(row.subRows[0].original))}
+                    />
                   </td>
-                ))}
+                </tr>
+              ) : (
+                <tr
+                  key={row.id}
+                  data-index={virtualRow.index}
+                  ref={rowVirtualizer.measureElement}
+                  className="border-b border-[#2d2d2d] last:border-0"
+                >
+                  {row.getVisibleCells().map(cell => (
+                    <td
+                      key={cell.id}
+                      className="px-4 py-3 first:pl-10"
+                      style={{ width: cell.column.columnDef.size }}
+                    >
+                      {flexRender(
+                        cell.column.columnDef.cell,
+                        cell.getContext()
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              )
+            })}
+            {paddingBottom > 0 && (
+              <tr>
+                <td colSpan={columnCount} style={{ height: paddingBottom }} />
               </tr>
-            ))}
+            )}
           </tbody>
         </table>
       </div>
+      <PaginationControls table={table} />
+      <ChangeLog past={past} future={future} />
     </div>
   )
 }
\ No newline at end of file
@@ -0,0 +1,126 @@
+import { useState } from 'react'
+import { FiDownload, FiAlertTriangle } from 'react-icons/fi'
+import clsx from 'clsx'
+import { createInconsistencyCSV, createInconsistencyHTML } from '../utils/inconsistency-report'
+import { downloadBlob } from '../utils/download'
+
+const PAGE_SIZE = 50
+const TABS = [
+  { id: 'sources', label: 'Sources with several translations', variantLabel: 'Translation' },
+  { id: 'targets', label: 'Targets used for several sources', variantLabel: 'Source' }
+]
+const buttonClass = 'flex items-center gap-2 px-3 py-2 rounded-md border border-[#353535] text-white hover:bg-[#353535] transition-colors'
+
+const distinct = (units, key) => Array.from(new Set(units.map(unit => unit[key]).filter(Boolean))).join(', ') || '-'
+
+export default function InconsistencyReport({ inconsistencies, fileName }) {
+  const [tabId, setTabId] = useState('sources')
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE)
+
+  const tab = TABS.find(({ id }) => id === tabId)
+  const items = inconsistencies[tabId]
+  const baseName = (fileName || 'tmx').replace(/\.tmx$/i, '')
+
+  return (
+    <div className="bg-[#2d2d2d] p-4 rounded-lg border border-[#353535] space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-white flex items-center">
+          <FiAlertTriangle className="mr-2 text-yellow-500" />
+          Inconsistent Translations
+        </h3>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            className={buttonClass}
+            onClick={() => downloadBlob(
+              new Blob([createInconsistencyCSV(inconsistencies)], { type: 'text/csv;charset=utf-8' }),
+              `${baseName}_inconsistencies.csv`
+            )}
+          >
+            <FiDownload />
+            Export CSV
+          </button>
+          <button
+            type="button"
+            className={buttonClass}
+            onClick={() => downloadBlob(
+              new Blob([createInconsistencyHTML(inconsistencies, { fileName })], { type: 'text/html;charset=utf-8' }),
+              `${baseName}_inconsistencies.html`
+            )}
+          >
+            <FiDownload />
+            Export HTML
+          </button>
+        </div>
+      </div>
+
+      <div className="flex gap-2 border-b border-[#353535]">
+        {TABS.map(({ id, label }) => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => {
+              setTabId(id)
+              setVisibleCount(PAGE_SIZE)
+            }}
+            className={clsx(
+              'px-3 py-2 -mb-px border-b-2 transition-colors',
+              id === tabId ? 'border-blue-500 text-white' : 'border-transparent hover:text-white'
+            )}
+          >
+            {label} ({inconsistencies[id].length.toLocaleString()})
+          </button>
+        ))}
+      </div>
+
+      {items.length === 0 ? (
+        <div className="text-sm">None found with the current matching options</div>
+      ) : (
+        <div className="space-y-3">
+          {items.slice(0, visibleCount).map((item, index) => (
+            <div key={`${item.language}:${index}`} className="bg-[#1e1e1e] rounded-md p-3">
+              <div className="text-white mb-2">
+                {item.text}
+                <span className="text-sm text-[#676767] ml-2">
+                  {item.language} · {item.variants.length} variants · {item.units} units
+                </span>
+              </div>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left">
+                    <th className="font-normal pb-1">{tab.variantLabel}</th>
+                    <th className="font-normal pb-1 w-16 text-right">Count</th>
+                    <th className="font-normal pb-1 pl-4">Creation IDs</th>
+                    <th className="font-normal pb-1">Change IDs</th>
+                    <th className="font-normal pb-1">Units</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {item.variants.map((variant, variantIndex) => (
+                    <tr key={variantIndex} className="border-t border-[#353535] align-top">
+                      <td className="py-1 text-white">{variant.text}</td>
+                      <td className="py-1 text-right">{variant.count}</td>
+                      <td className="py-1 pl-4">{distinct(variant.units, 'creationId')}</td>
+                      <td className="py-1">{distinct(variant.units, 'changeId')}</td>
+                      <td className="py-1">{variant.units.slice(0, 5).map(unit => `#${(unit.ordinal + 1).toLocaleString()}`).join(' ')}{variant.units.length > 5 ? ' …' : ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+
+          {items.length > visibleCount && (
+            <button type="button" className={buttonClass} onClick={() => setVisibleCount(count => count + PAGE_SIZE)}>
+              Show {Math.min(PAGE_SIZE, items.length - visibleCount)} more of {(items.length - visibleCount).toLocaleString()}
+            </button>
+          )}
+        </div>
+      )}
+
+      <div className="text-sm text-gray-400">
+        Texts are compared with the case, whitespace and punctuation options above; nothing here is removed from the file
+      </div>
+    </div>
+  )
+}
@@ -1,6 +1,6 @@
 import { FiGlobe } from 'react-icons/fi'
 
-export default function LanguageDisplay({ sourceLanguage, targetLanguage }) {
+export default function LanguageDisplay({ sourceLanguage, targetLanguage, languages = [] }) {
   return (
     <div className="bg-[#2d2d2d] rounded-lg p-4 mb-4">
       <div className="flex items-center mb-4">
@@ -17,6 +17,12 @@ export default function LanguageDisplay({ sourceLanguage, targetLanguage }) {
           <div className="text-[#676767] mb-1">File Target Language:</div>
           <div className="text-white text-lg">{targetLanguage}</div>
         </div>
+        {languages.length > 2 && (
+          <div>
+            <div className="text-[#676767] mb-1">Languages in File:</div>
+            <div className="text-white text-lg">{languages.join(', ')}</div>
+          </div>
+        )}
       </div>
     </div>
   )
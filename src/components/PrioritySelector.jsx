@@ -1,6 +1,44 @@
-import { FiUser, FiCalendar, FiSettings } from 'react-icons/fi'
+import { useState } from 'react'
+import { FiUser, FiCalendar, FiSettings, FiGlobe, FiTag } from 'react-icons/fi'
 import Select from 'react-select'
 import clsx from 'clsx'
+import { MIN_SIMILARITY_THRESHOLD } from '../utils/duplicate-analyzer'
+import CustomRulesEditor from './CustomRulesEditor'
+
+const MASK_OPTIONS = [
+  { key: 'maskNumbers', label: 'Numbers and Dates' },
+  { key: 'maskUrls', label: 'URLs' },
+  { key: 'maskEmails', label: 'Email Addresses' },
+  { key: 'maskPlaceholders', label: 'Placeholders ({0}, %s, ${name})' }
+]
+
+// Keeps what the user types and only clamps it when they leave the field or press Enter, so values such as
+// 90 can be typed over 95 without passing through a clamped intermediate value. An empty field reverts
+function NumberInput({ value, min, max = Infinity, onChange }) {
+  const [draft, setDraft] = useState(null)
+
+  const commit = () => {
+    if (draft === null) return
+    const parsed = parseInt(draft, 10)
+    if (!Number.isNaN(parsed)) {
+      onChange(Math.min(max, Math.max(min, parsed)))
+    }
+    setDraft(null)
+  }
+
+  return (
+    <input
+      type="number"
+      min={min}
+      max={max === Infinity ? undefined : max}
+      value={draft ?? value}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === 'Enter' && commit()}
+      className="w-32 bg-[#2d2d2d] text-white border border-[#353535] rounded-md p-2"
+    />
+  )
+}
 
 const customSelectStyles = {
   control: (base) => ({
@@ -72,6 +110,27 @@ export default function PrioritySelector({ priorities, onPriorityChange, metadat
     priority: index + 1
   }))
 
+  // Props are offered as type/value pairs; a profile may rank props this file does not have
+  const toPropOption = ({ type, value }) => ({ value: `${type}\u0000${value}`, label: `${type}: ${value}`, rule: { type, value } })
+  const propOptions = Object.entries(metadata?.props || {})
+    .flatMap(([type, values]) => values.map(value => toPropOption({ type, value })))
+  const selectedProps = priorities.propRules.map((rule, index) => ({
+    ...toPropOption(rule),
+    priority: index + 1
+  }))
+
+  const fileLanguages = metadata?.languages || []
+  const activeSourceLanguage = options.sourceLanguage || metadata?.sourceLanguage || ''
+  const targetLanguageOptions = fileLanguages
+    .filter(lang => lang.toLowerCase() !== activeSourceLanguage.toLowerCase())
+    .map(lang => ({ value: lang, label: lang }))
+
+  const selectedTargetLanguages = options.targetLanguages.map((lang, index) => ({
+    value: lang,
+    label: lang,
+    priority: index + 1
+  }))
+
   return (
     <div className="space-y-6">
       <div>
@@ -150,6 +209,28 @@ export default function PrioritySelector({ priorities, onPriorityChange, metadat
             </div>
           </div>
 
+          <div>
+            <label className="block text-white mb-2">Preferred Properties</label>
+            <div className="space-y-2">
+              <Select
+                isMulti
+                options={propOptions}
+                value={selectedProps}
+                onChange={(selected) => {
+                  onPriorityChange('propRules', (selected || []).map(option => option.rule))
+                }}
+                styles={customSelectStyles}
+                placeholder={propOptions.length > 0 ? 'Select property values in priority order...' : 'No unit properties found in this file'}
+                components={{
+                  DropdownIndicator: () => <FiTag className="text-[#676767] mr-2" />
+                }}
+              />
+              <div className="text-sm text-gray-400">
+                Units with a selected property, such as a client or domain, are kept first; checked before IDs (or right after dates when dates come first)
+              </div>
+            </div>
+          </div>
+
           <div className="flex space-x-4">
             <label className="flex items-center space-x-2 text-white">
               <input
@@ -173,6 +254,18 @@ export default function PrioritySelector({ priorities, onPriorityChange, metadat
               <span>Prioritize by Creation Date</span>
             </label>
           </div>
+
+          <div>
+            <label className="block text-white mb-2">Units to Keep per Group</label>
+            <NumberInput
+              value={priorities.keepCount}
+              min={1}
+              onChange={(value) => onPriorityChange('keepCount', value)}
+            />
+            <div className="text-sm text-gray-400 mt-2">
+              Keeps the top N units of each group by the priorities above, e.g. several translations of the same source
+            </div>
+          </div>
         </div>
       </div>
 
@@ -183,6 +276,50 @@ export default function PrioritySelector({ priorities, onPriorityChange, metadat
         </h2>
         
         <div className="space-y-4">
+          {fileLanguages.length > 2 && (
+            <div className="bg-[#2d2d2d] p-4 rounded-lg border border-[#353535] space-y-4">
+              <h3 className="text-white flex items-center">
+                <FiGlobe className="mr-2" />
+                Language Pairs Used for Matching
+              </h3>
+              <div>
+                <label className="block text-white mb-2">Source Language</label>
+                <select
+                  value={options.sourceLanguage}
+                  onChange={(e) => {
+                    onOptionsChange('sourceLanguage', e.target.value)
+                    onOptionsChange('targetLanguages', options.targetLanguages.filter(lang => lang !== e.target.value))
+                  }}
+                  className="w-full bg-[#1e1e1e] text-white border border-[#353535] rounded-md p-2"
+                >
+                  <option value="">From file header ({metadata?.sourceLanguage || 'unknown'})</option>
+                  {fileLanguages.map(lang => (
+                    <option key={lang} value={lang}>{lang}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-white mb-2">Target Languages</label>
+                <Select
+                  isMulti
+                  options={targetLanguageOptions}
+                  value={selectedTargetLanguages}
+                  onChange={(selected) => {
+                    onOptionsChange('targetLanguages', (selected || []).map(option => option.value))
+                  }}
+                  styles={customSelectStyles}
+                  placeholder={`From file header (${metadata?.targetLanguage || 'unknown'})`}
+                  components={{
+                    DropdownIndicator: () => <FiGlobe className="text-[#676767] mr-2" />
+                  }}
+                />
+                <div className="text-sm text-gray-400 mt-2">
+                  Units are compared on every selected target; all language variants of kept units are written to the output
+                </div>
+              </div>
+            </div>
+          )}
+
           <div>
             <label className="block text-white mb-2">Match Mode</label>
             <select
@@ -228,6 +365,129 @@ export default function PrioritySelector({ priorities, onPriorityChange, metadat
             </label>
           </div>
 
+          {options.ignorePunctuation && (
+            <div>
+              <label className="block text-white mb-2">Punctuation to Ignore</label>
+              <select
+                value={options.punctuationSet}
+                onChange={(e) => onOptionsChange('punctuationSet', e.target.value)}
+                className="w-full bg-[#2d2d2d] text-white border border-[#353535] rounded-md p-2"
+              >
+                <option value="basic">Basic (. , ! ? ; :)</option>
+                <option value="unicode">All punctuation (quotes, guillemets, dashes, full-width and more)</option>
+              </select>
+            </div>
+          )}
+
+          <div className="bg-[#2d2d2d] p-4 rounded-lg border border-[#353535] space-y-4">
+            <h3 className="text-white">Text Normalization</h3>
+            <div>
+              <label className="block text-white mb-2">Unicode Normalization</label>
+              <select
+                value={options.unicodeForm}
+                onChange={(e) => onOptionsChange('unicodeForm', e.target.value)}
+                className="w-full bg-[#1e1e1e] text-white border border-[#353535] rounded-md p-2"
+              >
+                <option value="none">None</option>
+                <option value="NFC">NFC (Composed accents)</option>
+                <option value="NFD">NFD (Decomposed accents)</option>
+                <option value="NFKC">NFKC (Also full-width forms, ligatures and ellipsis)</option>
+                <option value="NFKD">NFKD (Decomposed, with compatibility forms)</option>
+              </select>
+            </div>
+
+            <div className="flex flex-wrap gap-4">
+              <label className="flex items-center space-x-2 text-white">
+                <input
+                  type="checkbox"
+                  checked={options.foldSpaces}
+                  onChange={(e) => onOptionsChange('foldSpaces', e.target.checked)}
+                  className="form-checkbox bg-[#2d2d2d] border-[#353535] rounded"
+                />
+                <span>Fold Non-breaking Spaces</span>
+              </label>
+
+              <label className="flex items-center space-x-2 text-white">
+                <input
+                  type="checkbox"
+                  checked={options.foldQuotes}
+                  onChange={(e) => onOptionsChange('foldQuotes', e.target.checked)}
+                  className="form-checkbox bg-[#2d2d2d] border-[#353535] rounded"
+                />
+                <span>Fold Quotes and Apostrophes</span>
+              </label>
+
+              <label className="flex items-center space-x-2 text-white">
+                <input
+                  type="checkbox"
+                  checked={options.foldDashes}
+                  onChange={(e) => onOptionsChange('foldDashes', e.target.checked)}
+                  className="form-checkbox bg-[#2d2d2d] border-[#353535] rounded"
+                />
+                <span>Fold Dashes</span>
+              </label>
+            </div>
+            <div className="text-sm text-gray-400">
+              Folding spaces also ignores the space French typography puts before : ; ! ? and inside « »; quotes fold to ' and "
+            </div>
+          </div>
+
+          <div className="bg-[#2d2d2d] p-4 rounded-lg border border-[#353535] space-y-4">
+            <h3 className="text-white">Ignore Variable Content</h3>
+            <div className="flex flex-wrap gap-4">
+              {MASK_OPTIONS.map(({ key, label }) => (
+                <label key={key} className="flex items-center space-x-2 text-white">
+                  <input
+                    type="checkbox"
+                    checked={options[key]}
+                    onChange={(e) => onOptionsChange(key, e.target.checked)}
+                    className="form-checkbox bg-[#2d2d2d] border-[#353535] rounded"
+                  />
+                  <span>{label}</span>
+                </label>
+              ))}
+            </div>
+            <div className="text-sm text-gray-400">
+              Texts that differ only in these are grouped, e.g. "Page 3 of 10" and "Page 4 of 10"; review such groups before removing units
+            </div>
+          </div>
+
+          <CustomRulesEditor
+            rules={options.customRules}
+            options={options}
+            languages={{
+              source: options.sourceLanguage || metadata?.sourceLanguage,
+              target: options.targetLanguages[0] || metadata?.targetLanguage
+            }}
+            onChange={(rules) => onOptionsChange('customRules', rules)}
+          />
+
+          <div>
+            <label className="flex items-center space-x-2 text-white">
+              <input
+                type="checkbox"
+                checked={options.fuzzyMatching}
+                onChange={(e) => onOptionsChange('fuzzyMatching', e.target.checked)}
+                className="form-checkbox bg-[#2d2d2d] border-[#353535] rounded"
+              />
+              <span>Fuzzy Matching</span>
+            </label>
+            {options.fuzzyMatching && (
+              <div className="mt-2">
+                <label className="block text-white mb-2">Minimum Similarity (%)</label>
+                <NumberInput
+                  value={options.similarityThreshold}
+                  min={MIN_SIMILARITY_THRESHOLD}
+                  max={100}
+                  onChange={(value) => onOptionsChange('similarityThreshold', value)}
+                />
+              </div>
+            )}
+            <div className="text-sm text-gray-400 mt-2">
+              Also groups near-identical texts, e.g. a typo or one changed word; similarity is based on character edits
+            </div>
+          </div>
+
           <div>
             <label className="block text-white mb-2">Tag Strictness</label>
             <select
@@ -236,8 +496,9 @@ export default function PrioritySelector({ priorities, onPriorityChange, metadat
               className="w-full bg-[#2d2d2d] text-white border border-[#353535] rounded-md p-2"
             >
               <option value="permissive">Permissive (Number of tags)</option>
-              <option value="medium">Medium (Tag types)</option>
-              <option value="strict">Strict (Exact match)</option>
+              <option value="medium">Medium (Tag types and pairing)</option>
+              <option value="strict">Strict (Tags, attributes and placeholder content)</option>
+              <option value="ignore">Ignore Tags (Text only)</option>
             </select>
           </div>
         </div>
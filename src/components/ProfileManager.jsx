@@ -0,0 +1,168 @@
+import { useState, useRef } from 'react'
+import { FiSave, FiUpload, FiDownload, FiTrash2, FiAlertTriangle } from 'react-icons/fi'
+import { createProfile, parseProfile, findUnknownProfileIds } from '../utils/cleaning-profile'
+import { downloadBlob } from '../utils/download'
+
+const STORAGE_KEY = 'tmx-duplicate-remover.profiles'
+const buttonClass = 'flex items-center gap-2 px-3 py-2 rounded-md border border-[#353535] text-white hover:bg-[#353535] transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+
+function loadProfiles() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+    // Drop anything that no longer validates rather than failing the whole list
+    return Object.fromEntries(Object.entries(stored).flatMap(([name, profile]) => {
+      try {
+        return [[name, parseProfile(profile)]]
+      } catch {
+        return []
+      }
+    }))
+  } catch {
+    return {}
+  }
+}
+
+function storeProfiles(profiles) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles))
+  } catch (error) {
+    console.warn('Failed to store profiles:', error)
+  }
+}
+
+export default function ProfileManager({ priorities, options, metadata, onApply }) {
+  const [profiles, setProfiles] = useState(loadProfiles)
+  const [selectedName, setSelectedName] = useState('')
+  const [newName, setNewName] = useState('')
+  const [notice, setNotice] = useState(null)
+  const importInput = useRef(null)
+
+  const updateProfiles = (updated) => {
+    setProfiles(updated)
+    storeProfiles(updated)
+  }
+
+  const applyProfile = (profile) => {
+    onApply(profile)
+    setSelectedName(profile.name)
+
+    const unknownIds = findUnknownProfileIds(profile.priorities, metadata || {})
+    const missing = [...unknownIds.creationId, ...unknownIds.changeId, ...unknownIds.prop]
+    setNotice(metadata && missing.length > 0
+      ? { type: 'warning', text: `Profile "${profile.name}" ranks IDs or props not found in this file: ${missing.join(', ')}` }
+      : { type: 'info', text: `Profile "${profile.name}" loaded` })
+  }
+
+  const handleSave = () => {
+    try {
+      const profile = createProfile(newName, priorities, options)
+      updateProfiles({ ...profiles, [profile.name]: profile })
+      setSelectedName(profile.name)
+      setNewName('')
+      setNotice({ type: 'info', text: `Profile "${profile.name}" saved` })
+    } catch (error) {
+      setNotice({ type: 'error', text: error.message })
+    }
+  }
+
+  const handleDelete = () => {
+    const { [selectedName]: removed, ...rest } = profiles
+    updateProfiles(rest)
+    setSelectedName('')
+    setNotice(null)
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const profile = parseProfile(await file.text())
+      updateProfiles({ ...profiles, [profile.name]: profile })
+      applyProfile(profile)
+    } catch (error) {
+      setNotice({ type: 'error', text: error.message })
+    }
+  }
+
+  const selectedProfile = profiles[selectedName]
+
+  return (
+    <div className="bg-[#2d2d2d] p-4 rounded-lg border border-[#353535] mb-6 space-y-4">
+      <h3 className="text-white">Profiles</h3>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={selectedName}
+          onChange={(e) => {
+            setSelectedName(e.target.value)
+            if (profiles[e.target.value]) {
+              applyProfile(profiles[e.target.value])
+            }
+          }}
+          className="flex-1 min-w-[12rem] bg-[#1e1e1e] text-white border border-[#353535] rounded-md p-2"
+        >
+          <option value="">Choose a saved profile...</option>
+          {Object.keys(profiles).sort((a, b) => a.localeCompare(b)).map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className={buttonClass}
+          disabled={!selectedProfile}
+          onClick={() => downloadBlob(
+            new Blob([JSON.stringify(selectedProfile, null, 2)], { type: 'application/json' }),
+            `${selectedName.replace(/[^\w-]+/g, '_')}.profile.json`
+          )}
+        >
+          <FiDownload />
+          Export
+        </button>
+        <button type="button" className={buttonClass} disabled={!selectedProfile} onClick={handleDelete}>
+          <FiTrash2 />
+          Delete
+        </button>
+        <button type="button" className={buttonClass} onClick={() => importInput.current?.click()}>
+          <FiUpload />
+          Import
+        </button>
+        <input
+          ref={importInput}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="Save current settings as..."
+          className="flex-1 min-w-[12rem] bg-[#1e1e1e] text-white border border-[#353535] rounded-md p-2"
+        />
+        <button type="button" className={buttonClass} disabled={!newName.trim()} onClick={handleSave}>
+          <FiSave />
+          Save Profile
+        </button>
+      </div>
+
+      {notice && (
+        <div className={`flex items-center gap-2 text-sm ${
+          notice.type === 'error' ? 'text-red-500' : notice.type === 'warning' ? 'text-yellow-500' : 'text-gray-400'
+        }`}>
+          {notice.type !== 'info' && <FiAlertTriangle className="shrink-0" />}
+          {notice.text}
+        </div>
+      )}
+
+      <div className="text-sm text-gray-400">
+        Profiles store priorities and matching options; use an exported profile with the command line tool's --profile option
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,40 @@
+const CODE_TAGS = ['bpt', 'ept', 'ph', 'it', 'ut']
+
+function getCodeText(nodes) {
+  return (nodes || []).map(node => typeof node === 'string' ? node : getCodeText(node.children)).join('')
+}
+
+function InlineElement({ node }) {
+  if (!CODE_TAGS.includes(node.tag)) {
+    return (
+      <span className="underline decoration-dotted" title={`<${node.tag}>`}>
+        <SegmentNodes nodes={node.children} />
+      </span>
+    )
+  }
+
+  const id = node.attributes?.i || node.attributes?.x || ''
+  return (
+    <span
+      className="inline-block px-1 mx-0.5 rounded bg-[#454545] text-[#9CA3AF] text-xs align-middle"
+      title={getCodeText(node.children) || node.tag}
+    >
+      {node.tag === 'ept' ? `/${id}` : `${node.tag}${id ? ` ${id}` : ''}`}
+    </span>
+  )
+}
+
+function SegmentNodes({ nodes }) {
+  return (nodes || []).map((node, index) => (
+    typeof node === 'string'
+      ? <span key={index}>{node}</span>
+      : <InlineElement key={index} node={node} />
+  ))
+}
+
+export default function SegmentText({ text, content }) {
+  if (!content) {
+    return text || '-'
+  }
+  return <SegmentNodes nodes={content} />
+}
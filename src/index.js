@@ -1,35 +1,178 @@
-import { Command } from 'commander';
+import { readFile } from 'fs/promises';
+import { Command, Option, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
 import { processTMXFile } from './tmx-processor.js';
-import { TUPriorityManager } from './priority-manager.js';
+import { OUTPUT_ENCODINGS } from './utils/encoding-detector.js';
+import { MATCH_MODES, TAG_STRICTNESS_LEVELS, PRIORITY_ORDERS, MIN_SIMILARITY_THRESHOLD } from './utils/duplicate-analyzer.js';
+import { UNICODE_FORMS, PUNCTUATION_SETS, compileCustomRules } from './utils/text-normalizer.js';
+import { parseProfile, findUnknownProfileIds } from './utils/cleaning-profile.js';
 
 const program = new Command();
 
+function parseKeepCount(value) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new InvalidArgumentError('Must be a whole number of at least 1.');
+  }
+  return count;
+}
+
+async function readRules(path) {
+  let rules;
+  try {
+    rules = JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid rules file: ${error.message}`);
+  }
+  compileCustomRules(rules);
+  return rules;
+}
+
+function parsePropRule(value) {
+  const separator = value.indexOf('=');
+  if (separator < 1) {
+    throw new Error(`--prop expects type=value, got '${value}'`);
+  }
+  return { type: value.slice(0, separator), value: value.slice(separator + 1) };
+}
+
+function parseSimilarity(value) {
+  const percent = Number(value);
+  if (!(percent >= MIN_SIMILARITY_THRESHOLD && percent <= 100)) {
+    throw new InvalidArgumentError(`Must be a percentage between ${MIN_SIMILARITY_THRESHOLD} and 100.`);
+  }
+  return percent;
+}
+
 program
   .name('tmx-duplicate-remover')
   .description('Remove duplicates from TMX files based on configurable priorities')
   .version('1.0.0')
   .requiredOption('-i, --input <path>', 'Input TMX file path')
-  .requiredOption('-o, --output <path>', 'Output TMX file path')
-  .option('--creation-id <id>', 'Priority creation ID')
-  .option('--change-id <id>', 'Priority change ID')
+  .option('-o, --output <path>', 'Output TMX file path (not needed with --dry-run)')
+  .option('--dry-run', 'Only report what would be removed; prints the JSON report unless --report is given')
+  .option('--report <path>', 'Write a JSON report of every duplicate group')
+  .option('--inconsistencies <path>', 'Write sources with several translations and targets with several sources (.csv or .html)')
+  .option('--profile <path>', 'Load priorities and match options from a profile exported by the web app; other flags override it')
+  .option('--creation-id <ids...>', 'Creation IDs in priority order, highest first')
+  .option('--change-id <ids...>', 'Change IDs in priority order, highest first')
+  .option('--prop <props...>', 'Preferred TU props as type=value in priority order, e.g. client=C000274 domain=Technical')
   .option('--change-date', 'Prioritize by change date')
-  .option('--creation-date', 'Prioritize by creation date');
+  .option('--creation-date', 'Prioritize by creation date')
+  .addOption(new Option('--priority-order <order>', 'Check IDs or dates first').choices(PRIORITY_ORDERS).default('ids'))
+  .addOption(new Option('--keep <count>', 'Units to keep per duplicate group').argParser(parseKeepCount).default(1))
+  .addOption(new Option('--match-mode <mode>', 'Which texts must match').choices(MATCH_MODES).default('sourcesEqual'))
+  .option('--case-sensitive', 'Treat case differences as distinct')
+  .option('--ignore-punctuation', 'Ignore punctuation when matching')
+  .addOption(new Option('--punctuation-set <set>', 'Punctuation ignored by --ignore-punctuation: basic (.,!?;:) or all Unicode punctuation').choices(PUNCTUATION_SETS).default('basic'))
+  .option('--no-ignore-whitespace', 'Treat whitespace differences as distinct')
+  .addOption(new Option('--unicode-form <form>', 'Unicode normalization applied before matching').choices(UNICODE_FORMS).default('NFC'))
+  .option('--fold-spaces', 'Treat non-breaking spaces as spaces and ignore spaces before : ; ! ? and inside guillemets')
+  .option('--fold-quotes', 'Treat typographic quotes, apostrophes and guillemets as straight quotes')
+  .option('--fold-dashes', 'Treat hyphen and dash variants as a hyphen-minus')
+  .option('--mask-numbers', 'Match texts that differ only in numbers and dates')
+  .option('--mask-urls', 'Match texts that differ only in URLs')
+  .option('--mask-emails', 'Match texts that differ only in email addresses')
+  .option('--mask-placeholders', 'Match texts that differ only in placeholders such as {0}, %s or ${name}')
+  .option('--rules <path>', 'JSON file with a list of { pattern, replacement, flags, scope } regex rules applied before matching')
+  .option('--fuzzy', 'Also group near-identical texts')
+  .addOption(new Option('--similarity <percent>', 'Minimum similarity for --fuzzy').argParser(parseSimilarity).default(95))
+  .addOption(new Option('--tag-strictness <level>', 'How inline tags must agree').choices(TAG_STRICTNESS_LEVELS).default('permissive'))
+  .option('--source-lang <code>', 'Source language (default: detected from the file)')
+  .option('--target-lang <codes...>', 'Target languages used for matching (default: detected from the file)')
+  .addOption(new Option('--output-encoding <encoding>', 'Output encoding').choices(['original', ...Object.keys(OUTPUT_ENCODINGS)]).default('original'));
 
 program.parse();
 
 const options = program.opts();
 
+// Keep stdout clean for the JSON report when it is printed there
+const log = options.dryRun && !options.report ? console.error : console.log;
+
 try {
-  const priorityManager = new TUPriorityManager({
-    creationId: options.creationId,
-    changeId: options.changeId,
-    changeDate: options.changeDate,
-    creationDate: options.creationDate
+  if (!options.output && !options.dryRun) {
+    throw new Error('--output is required unless --dry-run is given');
+  }
+
+  const profile = options.profile ? parseProfile(await readFile(options.profile, 'utf8')) : null;
+  const customRules = options.rules ? await readRules(options.rules) : [];
+  // Flags given on the command line win over the profile, the profile over the flag defaults
+  const setting = (optionKey, profileValue, value) =>
+    profileValue !== undefined && program.getOptionValueSource(optionKey) !== 'cli' ? profileValue : value;
+
+  const priorities = {
+    creationId: setting('creationId', profile?.priorities.creationId, options.creationId || []),
+    changeId: setting('changeId', profile?.priorities.changeId, options.changeId || []),
+    changeDate: setting('changeDate', profile?.priorities.changeDate, Boolean(options.changeDate)),
+    creationDate: setting('creationDate', profile?.priorities.creationDate, Boolean(options.creationDate)),
+    priorityOrder: setting('priorityOrder', profile?.priorities.priorityOrder, options.priorityOrder),
+    keepCount: setting('keep', profile?.priorities.keepCount, options.keep),
+    propRules: setting('prop', profile?.priorities.propRules, (options.prop || []).map(parsePropRule))
+  };
+  const matchOptions = {
+    matchMode: setting('matchMode', profile?.options.matchMode, options.matchMode),
+    caseSensitive: setting('caseSensitive', profile?.options.caseSensitive, Boolean(options.caseSensitive)),
+    ignorePunctuation: setting('ignorePunctuation', profile?.options.ignorePunctuation, Boolean(options.ignorePunctuation)),
+    punctuationSet: setting('punctuationSet', profile?.options.punctuationSet, options.punctuationSet),
+    ignoreWhitespace: setting('ignoreWhitespace', profile?.options.ignoreWhitespace, options.ignoreWhitespace),
+    unicodeForm: setting('unicodeForm', profile?.options.unicodeForm, options.unicodeForm),
+    foldSpaces: setting('foldSpaces', profile?.options.foldSpaces, Boolean(options.foldSpaces)),
+    foldQuotes: setting('foldQuotes', profile?.options.foldQuotes, Boolean(options.foldQuotes)),
+    foldDashes: setting('foldDashes', profile?.options.foldDashes, Boolean(options.foldDashes)),
+    maskNumbers: setting('maskNumbers', profile?.options.maskNumbers, Boolean(options.maskNumbers)),
+    maskUrls: setting('maskUrls', profile?.options.maskUrls, Boolean(options.maskUrls)),
+    maskEmails: setting('maskEmails', profile?.options.maskEmails, Boolean(options.maskEmails)),
+    maskPlaceholders: setting('maskPlaceholders', profile?.options.maskPlaceholders, Boolean(options.maskPlaceholders)),
+    customRules: setting('rules', profile?.options.customRules, customRules),
+    tagStrictness: setting('tagStrictness', profile?.options.tagStrictness, options.tagStrictness),
+    fuzzyMatching: setting('fuzzy', profile?.options.fuzzyMatching, Boolean(options.fuzzy)),
+    similarityThreshold: setting('similarity', profile?.options.similarityThreshold, options.similarity)
+  };
+
+  const languages = options.sourceLang && options.targetLang
+    ? { source: options.sourceLang, target: options.targetLang[0], targets: options.targetLang }
+    : null;
+  if (!languages && (options.sourceLang || options.targetLang)) {
+    throw new Error('--source-lang and --target-lang must be given together');
+  }
+
+  if (profile) {
+    log(chalk.gray(`Using profile "${profile.name}"`));
+  }
+
+  const { stats, report, inconsistencies, languages: usedLanguages, ids } = await processTMXFile(options.input, options.output, priorities, {
+    ...matchOptions,
+    languages,
+    outputEncoding: options.outputEncoding,
+    dryRun: Boolean(options.dryRun),
+    reportPath: options.report,
+    inconsistenciesPath: options.inconsistencies
   });
 
-  await processTMXFile(options.input, options.output, priorityManager);
-  console.log(chalk.green('✔ Successfully processed TMX file'));
+  if (options.dryRun && !options.report) {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  }
+
+  const unknownIds = findUnknownProfileIds(priorities, ids);
+  if (unknownIds.creationId.length > 0) {
+    log(chalk.yellow(`Warning: creation IDs not found in the file: ${unknownIds.creationId.join(', ')}`));
+  }
+  if (unknownIds.changeId.length > 0) {
+    log(chalk.yellow(`Warning: change IDs not found in the file: ${unknownIds.changeId.join(', ')}`));
+  }
+  if (unknownIds.prop.length > 0) {
+    log(chalk.yellow(`Warning: props not found in the file: ${unknownIds.prop.join(', ')}`));
+  }
+
+  log(chalk.blue(options.dryRun ? '\nDry Run Statistics:' : '\nProcessing Statistics:'));
+  log(chalk.gray(`- Languages: ${usedLanguages.source} → ${(usedLanguages.targets || [usedLanguages.target]).join(', ')}`));
+  log(chalk.gray(`- Original TUs: ${stats.originalCount}`));
+  log(chalk.gray(`- Unique TUs: ${stats.uniqueCount}`));
+  log(chalk.gray(`- Duplicates ${options.dryRun ? 'to remove' : 'removed'}: ${stats.duplicatesRemoved}`));
+  if (inconsistencies) {
+    log(chalk.gray(`- Inconsistent sources: ${inconsistencies.sources.length}, targets: ${inconsistencies.targets.length}`));
+  }
+  log(chalk.green(options.dryRun ? '✔ Dry run complete, no file written' : '✔ Successfully processed TMX file'));
 } catch (error) {
   console.error(chalk.red('Error:'), error.message);
   process.exit(1);
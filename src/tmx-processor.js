@@ -1,80 +1,120 @@
-import chalk from 'chalk';
+import fs from 'fs/promises';
 import { checkFileExists, ensureDirectoryExists } from './utils/file-utils.js';
-import { createXMLParser, createXMLBuilder } from './utils/xml-utils.js';
-import { detectFileEncoding, readFileWithEncoding, writeFileWithEncoding } from './utils/encoding-utils.js';
+import { parseTMXDocument, detectLanguagePair, getTUProps } from './utils/tmx-core.js';
+import { analyzeDuplicates } from './utils/duplicate-analyzer.js';
+import { createDuplicateReport } from './utils/duplicate-report.js';
+import { findInconsistencies } from './utils/inconsistency-analyzer.js';
+import { createInconsistencyCSV, createInconsistencyHTML } from './utils/inconsistency-report.js';
+import { XMLStreamWriter, createDuplicateFilter, encodeChunks, writeTMXStart, writeTMXEnd } from './utils/tmx-writer.js';
+import { detectFileEncoding, decodeWithEncoding, resolveOutputEncoding } from './utils/encoding-detector.js';
+import { extractXMLProlog } from './utils/xml-utils.js';
+
+// With options.dryRun the output file is not written; the report describes what would be removed
+export async function processTMXFile(inputPath, outputPath, priorities, options = {}) {
+  const {
+    dryRun = false,
+    reportPath,
+    inconsistenciesPath,
+    languages: selectedLanguages,
+    outputEncoding: outputEncodingOption,
+    ...matchOptions
+  } = options;
 
-export async function processTMXFile(inputPath, outputPath, priorityManager) {
   // Check if input file exists
   if (!(await checkFileExists(inputPath))) {
     throw new Error(`Input file not found: ${inputPath}`);
   }
 
-  // Ensure output directory exists
-  await ensureDirectoryExists(outputPath);
+  // Ensure output directories exist
+  if (!dryRun) {
+    await ensureDirectoryExists(outputPath);
+  }
+  if (reportPath) {
+    await ensureDirectoryExists(reportPath);
+  }
+  if (inconsistenciesPath) {
+    await ensureDirectoryExists(inconsistenciesPath);
+  }
 
   // Detect and use the correct encoding
-  const encoding = await detectFileEncoding(inputPath);
-  const xmlData = await readFileWithEncoding(inputPath, encoding);
-  
-  const parser = createXMLParser();
-  const parsedData = parser.parse(xmlData);
-  const processedTUs = removeDuplicates(parsedData, priorityManager);
-  
-  const builder = createXMLBuilder();
-  const outputXML = builder.build(processedTUs);
-  
-  await writeFileWithEncoding(outputPath, outputXML, encoding);
+  const buffer = new Uint8Array(await fs.readFile(inputPath));
+  const sourceEncoding = detectFileEncoding(buffer);
+  const outputEncoding = resolveOutputEncoding(sourceEncoding, outputEncodingOption);
+  const xmlData = decodeWithEncoding(buffer, sourceEncoding);
 
-  // Log statistics
-  const stats = getProcessingStats(parsedData, processedTUs);
-  console.log(chalk.blue('\nProcessing Statistics:'));
-  console.log(chalk.gray(`- Original TUs: ${stats.originalCount}`));
-  console.log(chalk.gray(`- Unique TUs: ${stats.uniqueCount}`));
-  console.log(chalk.gray(`- Duplicates removed: ${stats.duplicatesRemoved}`));
-}
+  const tmxData = parseTMXDocument(xmlData);
+  const languages = selectedLanguages?.source && selectedLanguages?.target
+    ? selectedLanguages
+    : detectLanguagePair(tmxData);
 
-function getProcessingStats(originalData, processedData) {
-  const originalCount = originalData.find(node => node.body)?.body?.tu?.length || 0;
-  const uniqueCount = processedData.find(node => node.body)?.body?.tu?.length || 0;
-  return {
-    originalCount,
-    uniqueCount,
-    duplicatesRemoved: originalCount - uniqueCount
-  };
-}
+  // Same analysis and writer as the web app, so both produce identical output
+  const duplicates = analyzeDuplicates(tmxData, priorities, { ...matchOptions, languages });
+  const report = dryRun || reportPath
+    ? createDuplicateReport(duplicates, { fileName: inputPath, languages, priorities, options: matchOptions })
+    : null;
+
+  const originalCount = tmxData.tmx.body.tu.length;
+  let keptCount = originalCount - duplicates.filter(d => d.status !== 'keep').length;
 
-function removeDuplicates(tmxData, priorityManager) {
-  const tuMap = new Map();
-  const body = tmxData.find(node => node.body);
-  
-  if (!body || !body.body.tu) {
-    return tmxData;
+  if (!dryRun) {
+    const isKept = createDuplicateFilter(duplicates);
+    const xmlWriter = new XMLStreamWriter();
+    writeTMXStart(xmlWriter, tmxData, extractXMLProlog(xmlData), sourceEncoding, outputEncoding);
+    keptCount = 0;
+    tmxData.tmx.body.tu.forEach((tu, ordinal) => {
+      if (tu && Array.isArray(tu.tuv) && isKept(ordinal)) {
+        xmlWriter.writeTU(tu);
+        keptCount++;
+      }
+    });
+    writeTMXEnd(xmlWriter);
+
+    await fs.writeFile(outputPath, Buffer.concat(encodeChunks(xmlWriter.getChunks(), outputEncoding)));
   }
 
-  body.body.tu = body.body.tu.filter(tu => {
-    const key = getTUKey(tu);
-    
-    if (!tuMap.has(key)) {
-      tuMap.set(key, tu);
-      return true;
-    }
-    
-    const existingTU = tuMap.get(key);
-    const shouldReplace = priorityManager.compareTranslationUnits(existingTU, tu);
-    
-    if (shouldReplace) {
-      tuMap.set(key, tu);
-      return true;
-    }
-    
-    return false;
-  });
+  if (reportPath) {
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+  }
 
-  return tmxData;
+  // A .html path gets the standalone page, anything else CSV
+  const inconsistencies = inconsistenciesPath
+    ? findInconsistencies(tmxData.tmx.body.tu, matchOptions, languages)
+    : null;
+  if (inconsistencies) {
+    await fs.writeFile(inconsistenciesPath, /\.html?$/i.test(inconsistenciesPath)
+      ? createInconsistencyHTML(inconsistencies, { fileName: inputPath })
+      : createInconsistencyCSV(inconsistencies));
+  }
+
+  return {
+    languages,
+    report,
+    inconsistencies,
+    ids: collectTUIds(tmxData.tmx.body.tu),
+    stats: {
+      originalCount,
+      uniqueCount: keptCount,
+      duplicatesRemoved: originalCount - keptCount
+    }
+  };
 }
 
-function getTUKey(tu) {
-  const sourceText = tu.tuv.find(tuv => tuv['@_xml:lang'] === 'en-ca')?.seg;
-  const targetText = tu.tuv.find(tuv => tuv['@_xml:lang'] === 'fr-ca')?.seg;
-  return `${sourceText}|${targetText}`;
+// Creation and change IDs and TU props present in the file, to warn about ranked IDs or props that never occur
+function collectTUIds(tus) {
+  const creationIds = new Set();
+  const changeIds = new Set();
+  const props = {};
+  tus.forEach(tu => {
+    if (tu?.['@_creationid']) creationIds.add(tu['@_creationid']);
+    if (tu?.['@_changeid']) changeIds.add(tu['@_changeid']);
+    getTUProps(tu).forEach(({ type, value }) => {
+      props[type] = props[type] || new Set();
+      props[type].add(value);
+    });
+  });
+  return {
+    creationIds: Array.from(creationIds),
+    changeIds: Array.from(changeIds),
+    props: Object.fromEntries(Object.entries(props).map(([type, values]) => [type, Array.from(values)]))
+  };
 }
@@ -0,0 +1,119 @@
+import {
+  DEFAULT_PRIORITIES,
+  DEFAULT_MATCH_OPTIONS,
+  MATCH_MODES,
+  TAG_STRICTNESS_LEVELS,
+  PRIORITY_ORDERS,
+  MIN_SIMILARITY_THRESHOLD
+} from './duplicate-analyzer.js';
+import { UNICODE_FORMS, PUNCTUATION_SETS, compileCustomRules } from './text-normalizer.js';
+
+// A named set of priorities and match options, shared by the web app and the CLI's --profile.
+// Language choices belong to a file and are not part of a profile
+const PROFILE_FORMAT = 'tmx-duplicate-remover-profile';
+const PROFILE_VERSION = 1;
+
+export function createProfile(name, priorities, options) {
+  if (!name || !name.trim()) {
+    throw new Error('Profile name is required');
+  }
+
+  return {
+    format: PROFILE_FORMAT,
+    version: PROFILE_VERSION,
+    name: name.trim(),
+    priorities: pick(priorities, Object.keys(DEFAULT_PRIORITIES)),
+    options: pick(options, Object.keys(DEFAULT_MATCH_OPTIONS))
+  };
+}
+
+// Validates a profile (object or JSON text) and fills in defaults for anything it leaves out
+export function parseProfile(json) {
+  let profile;
+  try {
+    profile = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch (error) {
+    throw new Error(`Invalid profile: ${error.message}`);
+  }
+
+  if (profile?.format !== PROFILE_FORMAT) {
+    throw new Error('Invalid profile: not a TMX Duplicate Remover profile');
+  }
+  if (profile.version > PROFILE_VERSION) {
+    throw new Error(`Unsupported profile version: ${profile.version}`);
+  }
+  if (!profile.name || typeof profile.name !== 'string') {
+    throw new Error('Invalid profile: missing name');
+  }
+
+  const priorities = { ...DEFAULT_PRIORITIES, ...pick(profile.priorities, Object.keys(DEFAULT_PRIORITIES)) };
+  const options = { ...DEFAULT_MATCH_OPTIONS, ...pick(profile.options, Object.keys(DEFAULT_MATCH_OPTIONS)) };
+
+  ['creationId', 'changeId'].forEach(key => {
+    if (!Array.isArray(priorities[key]) || !priorities[key].every(id => typeof id === 'string')) {
+      throw new Error(`Invalid profile: priorities.${key} must be a list of IDs`);
+    }
+  });
+  if (!Array.isArray(priorities.propRules) ||
+    !priorities.propRules.every(rule => rule?.type && typeof rule.type === 'string' && typeof rule.value === 'string')) {
+    throw new Error('Invalid profile: priorities.propRules must be a list of { type, value } props');
+  }
+  ['changeDate', 'creationDate'].forEach(key => assertBoolean(priorities[key], `priorities.${key}`));
+  [
+    'caseSensitive', 'ignorePunctuation', 'ignoreWhitespace', 'foldSpaces', 'foldQuotes', 'foldDashes',
+    'maskNumbers', 'maskUrls', 'maskEmails', 'maskPlaceholders', 'fuzzyMatching'
+  ].forEach(key => assertBoolean(options[key], `options.${key}`));
+  assertOneOf(priorities.priorityOrder, PRIORITY_ORDERS, 'priorities.priorityOrder');
+  assertOneOf(options.matchMode, MATCH_MODES, 'options.matchMode');
+  assertOneOf(options.tagStrictness, TAG_STRICTNESS_LEVELS, 'options.tagStrictness');
+  assertOneOf(options.unicodeForm, UNICODE_FORMS, 'options.unicodeForm');
+  assertOneOf(options.punctuationSet, PUNCTUATION_SETS, 'options.punctuationSet');
+  if (!Number.isInteger(priorities.keepCount) || priorities.keepCount < 1) {
+    throw new Error('Invalid profile: priorities.keepCount must be a whole number of at least 1');
+  }
+  try {
+    compileCustomRules(options.customRules);
+  } catch (error) {
+    throw new Error(`Invalid profile: ${error.message}`);
+  }
+  if (typeof options.similarityThreshold !== 'number' ||
+    options.similarityThreshold < MIN_SIMILARITY_THRESHOLD || options.similarityThreshold > 100) {
+    throw new Error(`Invalid profile: options.similarityThreshold must be between ${MIN_SIMILARITY_THRESHOLD} and 100`);
+  }
+
+  return { ...profile, priorities, options };
+}
+
+// IDs and props the profile ranks that never occur in the file; they do no harm but usually mean the wrong
+// profile. props maps prop types to their values; unknown props are returned as "type=value"
+export function findUnknownProfileIds(priorities, { creationIds = [], changeIds = [], props = {} } = {}) {
+  return {
+    creationId: (priorities.creationId || []).filter(id => !creationIds.includes(id)),
+    changeId: (priorities.changeId || []).filter(id => !changeIds.includes(id)),
+    prop: (priorities.propRules || [])
+      .filter(({ type, value }) => !props[type]?.includes(value))
+      .map(({ type, value }) => `${type}=${value}`)
+  };
+}
+
+function pick(source, keys) {
+  const result = {};
+  keys.forEach(key => {
+    if (source?.[key] !== undefined) {
+      result[key] = source[key];
+    }
+  });
+  return result;
+}
+
+function assertBoolean(value, field) {
+  if (typeof value !== 'boolean') {
+    throw new Error(`Invalid profile: ${field} must be true or false`);
+  }
+}
+
+function assertOneOf(value, allowed, field) {
+  if (!allowed.includes(value)) {
+    throw new Error(`Invalid profile: ${field} must be one of ${allowed.join(', ')}`);
+  }
+}
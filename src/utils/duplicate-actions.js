@@ -0,0 +1,84 @@
+import { getGroupId } from './duplicate-query.js';
+
+// Manual decisions remember the analysis' own decision so it can be restored later. Only the chosen
+// unit changes, so a group can keep several units
+export function setUnitStatus(duplicates, unit, status) {
+  return duplicates.map(entry => entry === unit ? applyManualDecision(entry, status, `Set to ${status} manually`) : entry);
+}
+
+export function keepAllInGroups(duplicates, groupIds) {
+  return updateGroups(duplicates, groupIds, entries =>
+    entries.map(entry => ['keep', 'Kept by bulk action: keep all'])
+  );
+}
+
+export function keepNewestInGroups(duplicates, groupIds) {
+  return updateGroups(duplicates, groupIds, entries => {
+    const newest = entries.reduce((best, entry) => getNewestDate(entry) > getNewestDate(best) ? entry : best);
+    return entries.map(entry => entry === newest
+      ? ['keep', 'Newest unit kept by bulk action']
+      : ['delete', 'A newer unit was kept by bulk action']);
+  });
+}
+
+// Groups without a unit by the creator are left unchanged
+export function keepCreatorInGroups(duplicates, groupIds, creationId) {
+  return updateGroups(duplicates, groupIds, entries => {
+    const chosen = entries.find(entry => entry.creationId === creationId);
+    if (!chosen) return null;
+    return entries.map(entry => entry === chosen
+      ? ['keep', `Unit by creator '${creationId}' kept by bulk action`]
+      : ['delete', `Unit by creator '${creationId}' kept by bulk action`]);
+  });
+}
+
+export function revertGroups(duplicates, groupIds) {
+  const selected = new Set(groupIds);
+  return duplicates.map(entry => {
+    if (!entry.automatic || !selected.has(getGroupId(entry))) return entry;
+    const { automatic, ...rest } = entry;
+    return { ...rest, ...automatic };
+  });
+}
+
+// decide receives the group's units and returns [status, reason] per unit, or null to leave the group alone
+function updateGroups(duplicates, groupIds, decide) {
+  const selected = new Set(groupIds);
+  const groups = new Map();
+  duplicates.forEach(entry => {
+    const groupId = getGroupId(entry);
+    if (!selected.has(groupId)) return;
+    if (!groups.has(groupId)) {
+      groups.set(groupId, []);
+    }
+    groups.get(groupId).push(entry);
+  });
+
+  const decisions = new Map();
+  groups.forEach(entries => {
+    const result = decide(entries);
+    if (result) {
+      entries.forEach((entry, index) => decisions.set(entry, result[index]));
+    }
+  });
+
+  if (decisions.size === 0) return duplicates;
+  return duplicates.map(entry => {
+    const decision = decisions.get(entry);
+    return decision ? applyManualDecision(entry, ...decision) : entry;
+  });
+}
+
+function applyManualDecision(entry, status, reason) {
+  return {
+    ...entry,
+    automatic: entry.automatic || { status: entry.status, decidedBy: entry.decidedBy, reason: entry.reason },
+    status,
+    decidedBy: 'manual',
+    reason
+  };
+}
+
+function getNewestDate(entry) {
+  return entry.changeDate || entry.creationDate || '';
+}
\ No newline at end of file
@@ -1,266 +1,317 @@
-import { extractTUContent, isValidTU, normalizeTUText } from './tmx-core.js';
+import { extractTUContent, detectLanguagePair, getTUProps } from './tmx-core.js';
+import { getTagSignature } from './segment-model.js';
+import { mergeSimilarGroups } from './fuzzy-matcher.js';
+import { DEFAULT_NORMALIZATION_OPTIONS, normalizeMatchText, compileCustomRules } from './text-normalizer.js';
+
+// Shared by the web worker and the CLI so both produce the same duplicate groups and keep/delete decisions
+export const DEFAULT_MATCH_OPTIONS = {
+  matchMode: 'sourcesEqual',
+  ...DEFAULT_NORMALIZATION_OPTIONS,
+  tagStrictness: 'permissive',
+  fuzzyMatching: false,
+  similarityThreshold: 95 // percent, used with fuzzyMatching
+};
+
+export const MATCH_MODES = ['sourcesEqual', 'targetsEqual', 'bothEqual'];
+// Below this, candidate filtering barely narrows anything and near-unrelated texts start to merge
+export const MIN_SIMILARITY_THRESHOLD = 50;
+export const TAG_STRICTNESS_LEVELS = ['permissive', 'medium', 'strict', 'ignore'];
+export const PRIORITY_ORDERS = ['ids', 'dates'];
+
+export const DEFAULT_PRIORITIES = {
+  creationId: [],
+  changeId: [],
+  changeDate: false,
+  creationDate: false,
+  priorityOrder: 'ids',
+  keepCount: 1,
+  // Preferred { type, value } TU props, highest first, e.g. client C000274 then domain Technical
+  propRules: []
+};
 
 export function analyzeDuplicates(tmxData, priorities, options = {}) {
   if (!tmxData?.tmx?.body?.tu || !Array.isArray(tmxData.tmx.body.tu)) {
     throw new Error('Invalid TMX data structure');
   }
 
-  const {
-    matchMode = 'sourcesEqual',
-    caseSensitive = false,
-    ignorePunctuation = false,
-    ignoreWhitespace = true,
-    tagStrictness = 'permissive'
-  } = options;
-
-  try {
-    const duplicateGroups = new Map();
-    const duplicatesList = [];
-
-    // First pass: Group translation units
-    tmxData.tmx.body.tu.forEach((tu, index) => {
-      if (!isValidTU(tu)) {
-        console.warn(`Skipping invalid TU at index ${index}`);
-        return;
-      }
+  const languages = options.languages?.source && options.languages?.target
+    ? options.languages
+    : detectLanguagePair(tmxData);
+  const duplicateGroups = new Map();
+  const duplicatesList = [];
 
-      const content = extractTUContent(tu);
-      
-      // Create all possible matching keys based on options
-      const keys = generateMatchingKeys(content, {
-        matchMode,
-        caseSensitive,
-        ignorePunctuation,
-        ignoreWhitespace
-      });
+  const failedTUs = groupTranslationUnits(tmxData.tmx.body.tu, duplicateGroups, options, languages);
+  if (failedTUs.length > 0) {
+    console.warn(`Skipped ${failedTUs.length} translation units without usable source or target text`);
+  }
 
-      keys.forEach(key => {
-        if (!duplicateGroups.has(key)) {
-          duplicateGroups.set(key, []);
-        }
-        
-        // Check tag compatibility
-        if (isTagCompatible(tu, duplicateGroups.get(key)[0]?.originalTU, tagStrictness)) {
-          duplicateGroups.get(key).push({
-            ...content,
-            originalTU: tu,
-            normalizedKey: key
-          });
-        }
-      });
-    });
-
-    // Second pass: Process duplicates
-    duplicateGroups.forEach((units, key) => {
-      if (units.length > 1) {
-        // Sort units based on priorities
-        const sortedUnits = units.sort((a, b) => 
-          compareTUs(a.originalTU, b.originalTU, priorities)
-        );
-
-        // Add all units in the group to the duplicates list
-        sortedUnits.forEach((unit, index) => {
-          duplicatesList.push({
-            sourceText: unit.sourceText,
-            targetText: unit.targetText,
-            creationId: unit.creationId,
-            changeId: unit.changeId,
-            creationDate: unit.creationDate,
-            changeDate: unit.changeDate,
-            status: index === 0 ? 'keep' : 'delete'
-          });
-        });
+  const groups = clusterDuplicateGroups(duplicateGroups, options);
+  resolveDuplicateGroups(Array.from(groups.entries()), duplicatesList, priorities);
+  return duplicatesList;
+}
+
+// With fuzzy matching, merges groups whose keys are near-identical; otherwise returns the exact groups
+export function clusterDuplicateGroups(duplicateGroups, options, onProgress) {
+  const { fuzzyMatching, similarityThreshold } = { ...DEFAULT_MATCH_OPTIONS, ...options };
+  if (!fuzzyMatching) return duplicateGroups;
+
+  const threshold = Number(similarityThreshold);
+  if (!(threshold >= MIN_SIMILARITY_THRESHOLD && threshold <= 100)) {
+    throw new Error(`Invalid similarity threshold: ${similarityThreshold}`);
+  }
+  return mergeSimilarGroups(duplicateGroups, threshold / 100, onProgress);
+}
+
+export function groupTranslationUnits(tus, duplicateGroups, options, languages) {
+  if (!Array.isArray(tus)) {
+    throw new Error('Invalid batch: Expected array of TUs');
+  }
+  // A broken rule would otherwise fail every unit one by one
+  compileCustomRules(options?.customRules || []);
+
+  const failedTUs = [];
+
+  for (const [index, tu] of tus.entries()) {
+    try {
+      if (!tu || !Array.isArray(tu.tuv)) {
+        failedTUs.push({ tu, error: 'Invalid TU structure' });
+        continue;
       }
-    });
 
-    console.log(`Found ${duplicatesList.length} total duplicates`);
-    return duplicatesList;
-  } catch (error) {
-    console.error('Error analyzing duplicates:', error);
-    throw new Error('Failed to analyze duplicates');
+      const content = extractTUContent(tu, languages);
+      const key = getTUKey(content, options, languages);
+      if (!duplicateGroups.has(key)) {
+        duplicateGroups.set(key, []);
+      }
+      // The stream parser numbers units by their position in the file; a whole parsed document uses the array index
+      const ordinal = tu.ordinal ?? index;
+      duplicateGroups.get(key).push({ ...content, ordinal, originalTU: tu });
+    } catch (error) {
+      failedTUs.push({ tu, error: error.message });
+    }
   }
+
+  return failedTUs;
 }
 
-function generateMatchingKeys(content, options) {
-  const keys = new Set();
-  const { matchMode, caseSensitive, ignorePunctuation, ignoreWhitespace } = options;
-
-  // Generate variations of source and target text
-  const sourceVariations = generateTextVariations(
-    content.sourceText,
-    caseSensitive,
-    ignorePunctuation,
-    ignoreWhitespace
-  );
-
-  const targetVariations = generateTextVariations(
-    content.targetText,
-    caseSensitive,
-    ignorePunctuation,
-    ignoreWhitespace
-  );
-
-  // Create keys based on match mode
-  switch (matchMode) {
-    case 'targetsEqual':
-      targetVariations.forEach(target => keys.add(target));
-      break;
-    case 'bothEqual':
-      sourceVariations.forEach(source => {
-        targetVariations.forEach(target => {
-          keys.add(`${source}|${target}`);
+export function resolveDuplicateGroups(groupEntries, duplicatesList, priorities) {
+  if (!Array.isArray(groupEntries)) {
+    throw new Error('Invalid group batch: Expected array of groups');
+  }
+
+  const keepCount = getKeepCount(priorities);
+
+  for (const [key, units] of groupEntries) {
+    if (!Array.isArray(units) || units.length < 2) continue;
+
+    try {
+      units.sort((a, b) => compareTUs(a.originalTU, b.originalTU, priorities));
+      const lastKept = units[Math.min(keepCount, units.length) - 1];
+      const firstDeleted = units[keepCount];
+      const groupId = createGroupId(key);
+      units.forEach((unit, index) => {
+        // Kept units record what put them ahead of the best deleted unit, deleted units what put the last kept unit ahead of them
+        const kept = index < keepCount;
+        const other = kept ? firstDeleted : lastKept;
+        const { rule } = other
+          ? rankTUs(kept ? unit.originalTU : lastKept.originalTU, kept ? firstDeleted.originalTU : unit.originalTU, priorities)
+          : { rule: null };
+        duplicatesList.push({
+          ordinal: unit.ordinal,
+          groupId,
+          groupKey: key,
+          sourceText: unit.sourceText,
+          targetText: unit.targetText,
+          sourceContent: unit.sourceContent,
+          targetContent: unit.targetContent,
+          targets: unit.targets,
+          creationId: unit.creationId,
+          changeId: unit.changeId,
+          creationDate: unit.creationDate,
+          changeDate: unit.changeDate,
+          ...(unit.similarity !== undefined ? { similarity: unit.similarity } : {}),
+          status: kept ? 'keep' : 'delete',
+          decidedBy: other ? rule || 'fileOrder' : 'keepCount',
+          reason: other
+            ? describeDecision(rule, unit.originalTU, other.originalTU, kept, priorities)
+            : `Group has no more than ${keepCount} units; all kept`
         });
       });
-      break;
-    default: // sourcesEqual
-      sourceVariations.forEach(source => keys.add(source));
+    } catch (error) {
+      console.error(`Error processing group ${key}:`, error);
+    }
   }
 
-  return Array.from(keys);
+  return duplicatesList;
 }
 
-function generateTextVariations(text, caseSensitive, ignorePunctuation, ignoreWhitespace) {
-  const variations = new Set();
-  let processed = text;
-
-  // Case sensitivity
-  if (!caseSensitive) {
-    processed = processed.toLowerCase();
+// languages gives the locale used for case folding; each target carries its own language
+export function getTUKey(content, options, languages) {
+  if (!content || !options) {
+    throw new Error('Invalid arguments for getTUKey');
   }
 
-  // Add original or case-processed version
-  variations.add(processed);
+  const { matchMode, tagStrictness } = { ...DEFAULT_MATCH_OPTIONS, ...options };
 
-  // Add version with normalized whitespace
-  if (ignoreWhitespace) {
-    const normalizedSpace = processed.replace(/\s+/g, ' ').trim();
-    variations.add(normalizedSpace);
+  const targets = content.targets ||
+    [{ text: content.targetText?.toString() || '', language: languages?.target, content: content.targetContent }];
+  // Segments made only of inline codes have no text but still match on their tags
+  if ((!content.sourceText && !content.sourceContent) || !targets.some(target => target.text || target.content)) {
+    throw new Error('Missing source or target text for key generation');
   }
 
-  // Add version without punctuation
-  if (ignorePunctuation) {
-    const noPunctuation = processed.replace(/[.,!?;:]/g, '');
-    variations.add(noPunctuation);
-    
-    // Also add version with both normalized whitespace and no punctuation
-    if (ignoreWhitespace) {
-      const normalizedNoPunctuation = noPunctuation.replace(/\s+/g, ' ').trim();
-      variations.add(normalizedNoPunctuation);
-    }
+  const sourceText = normalizeMatchText((content.sourceText || '').toString(), options, { language: languages?.source, side: 'source' });
+  const targetText = targets
+    .map(target => normalizeMatchText(target.text, options, { language: target.language, side: 'target' }))
+    .join('|');
+
+  const sourceSegments = [content.sourceContent];
+  const targetSegments = content.targets
+    ? content.targets.map(target => target.content)
+    : [content.targetContent];
+
+  let key;
+  let comparedSegments;
+  switch (matchMode) {
+    case 'targetsEqual':
+      key = targetText;
+      comparedSegments = targetSegments;
+      break;
+    case 'bothEqual':
+      key = `${sourceText}|${targetText}`;
+      comparedSegments = [...sourceSegments, ...targetSegments];
+      break;
+    case 'sourcesEqual':
+      key = sourceText;
+      comparedSegments = sourceSegments;
+      break;
+    default:
+      throw new Error(`Invalid match mode: ${matchMode}`);
   }
 
-  return Array.from(variations);
+  const tagSignature = getTagSignature(comparedSegments, tagStrictness);
+  return tagSignature ? `${key}\u0000${tagSignature}` : key;
 }
 
-function isTagCompatible(newTU, existingTU, strictness) {
-  if (!existingTU) return true;
-
-  const getTagInfo = (tu) => {
-    const tags = [];
-    tu.tuv.forEach(tuv => {
-      const matches = tuv.seg.match(/<[^>]+>/g) || [];
-      tags.push(...matches);
-    });
-    return tags;
-  };
-
-  const newTags = getTagInfo(newTU);
-  const existingTags = getTagInfo(existingTU);
-
-  switch (strictness) {
-    case 'permissive':
-      return newTags.length === existingTags.length;
-    
-    case 'medium':
-      if (newTags.length !== existingTags.length) return false;
-      return newTags.every((tag, i) => {
-        const isClosing = tag.startsWith('</');
-        const isEmptyElement = tag.endsWith('/>');
-        const existingIsClosing = existingTags[i].startsWith('</');
-        const existingIsEmptyElement = existingTags[i].endsWith('/>');
-        return isClosing === existingIsClosing && isEmptyElement === existingIsEmptyElement;
-      });
-    
-    case 'strict':
-      return JSON.stringify(newTags) === JSON.stringify(existingTags);
-    
-    default:
-      return true;
+// Derived from the key alone so the ID does not depend on batching or group order (53-bit cyrb53 hash)
+export function createGroupId(key) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < key.length; i++) {
+    const code = key.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
   }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return `g${(4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36)}`;
 }
 
-function compareTUs(a, b, priorities) {
-  const { creationId, changeId, changeDate, creationDate, priorityOrder } = priorities;
+const PRIORITY_RULES = {
+  creationId: (a, b, priorities) => compareIds(a['@_creationid'], b['@_creationid'], priorities.creationId),
+  changeId: (a, b, priorities) => compareIds(a['@_changeid'], b['@_changeid'], priorities.changeId),
+  changeDate: (a, b, priorities) => priorities.changeDate ? compareDates(a['@_changedate'], b['@_changedate']) : 0,
+  creationDate: (a, b, priorities) => priorities.creationDate ? compareDates(a['@_creationdate'], b['@_creationdate']) : 0,
+  props: (a, b, priorities) => compareRanks(findPropRank(a, priorities.propRules), findPropRank(b, priorities.propRules))
+};
+
+const RULE_ATTRIBUTES = {
+  creationId: 'creationid',
+  changeId: 'changeid',
+  changeDate: 'changedate',
+  creationDate: 'creationdate'
+};
+
+// Negative when a should be kept over b
+export function compareTUs(a, b, priorities) {
+  return rankTUs(a, b, priorities).comparison;
+}
 
-  if (priorityOrder === 'dates') {
-    // Check dates first
-    if (changeDate) {
-      const aDate = a['@_changedate'] || '';
-      const bDate = b['@_changedate'] || '';
-      if (aDate !== bDate) return bDate.localeCompare(aDate);
-    }
+// Also reports which priority rule decided the comparison (null when the units tie)
+export function rankTUs(a, b, priorities) {
+  if (!a || !b || !priorities) {
+    throw new Error('Invalid arguments for TU comparison');
+  }
 
-    if (creationDate) {
-      const aDate = a['@_creationdate'] || '';
-      const bDate = b['@_creationdate'] || '';
-      if (aDate !== bDate) return bDate.localeCompare(aDate);
-    }
+  const settings = { ...DEFAULT_PRIORITIES, ...priorities };
+  // Props describe what a unit was translated for, so they rank ahead of who translated it
+  const rules = settings.priorityOrder === 'dates'
+    ? ['changeDate', 'creationDate', 'props', 'creationId', 'changeId']
+    : ['props', 'creationId', 'changeId', 'changeDate', 'creationDate'];
 
-    // Then check IDs
-    if (creationId.length > 0) {
-      const aIndex = creationId.indexOf(a['@_creationid']);
-      const bIndex = creationId.indexOf(b['@_creationid']);
-      if (aIndex !== bIndex) {
-        if (aIndex === -1) return 1;
-        if (bIndex === -1) return -1;
-        return aIndex - bIndex;
-      }
-    }
+  for (const rule of rules) {
+    const comparison = PRIORITY_RULES[rule](a, b, settings);
+    if (comparison !== 0) return { comparison, rule };
+  }
+  return { comparison: 0, rule: null };
+}
 
-    if (changeId.length > 0) {
-      const aIndex = changeId.indexOf(a['@_changeid']);
-      const bIndex = changeId.indexOf(b['@_changeid']);
-      if (aIndex !== bIndex) {
-        if (aIndex === -1) return 1;
-        if (bIndex === -1) return -1;
-        return aIndex - bIndex;
-      }
-    }
-  } else {
-    // Check IDs first
-    if (creationId.length > 0) {
-      const aIndex = creationId.indexOf(a['@_creationid']);
-      const bIndex = creationId.indexOf(b['@_creationid']);
-      if (aIndex !== bIndex) {
-        if (aIndex === -1) return 1;
-        if (bIndex === -1) return -1;
-        return aIndex - bIndex;
-      }
-    }
+// e.g. "changeid 'Jane Doe' ranked #1 vs 'Bob' ranked #3" or "older changedate 2024-01-12 10:00:00 vs kept 2024-01-13 15:52:42"
+export function describeDecision(rule, unit, other, kept, priorities) {
+  if (!rule) {
+    return kept
+      ? 'No priority rule separates the units; first in file kept'
+      : 'No priority rule separates the units; an earlier unit was kept';
+  }
 
-    if (changeId.length > 0) {
-      const aIndex = changeId.indexOf(a['@_changeid']);
-      const bIndex = changeId.indexOf(b['@_changeid']);
-      if (aIndex !== bIndex) {
-        if (aIndex === -1) return 1;
-        if (bIndex === -1) return -1;
-        return aIndex - bIndex;
-      }
-    }
+  if (rule === 'props') {
+    const propRules = priorities?.propRules || [];
+    const formatProp = tu => {
+      const rank = findPropRank(tu, propRules);
+      return rank === -1 ? 'no preferred prop' : `prop ${propRules[rank].type} '${propRules[rank].value}' ranked #${rank + 1}`;
+    };
+    return `${formatProp(unit)} ${kept ? 'vs' : 'vs kept'} ${formatProp(other)}`;
+  }
 
-    // Then check dates
-    if (changeDate) {
-      const aDate = a['@_changedate'] || '';
-      const bDate = b['@_changedate'] || '';
-      if (aDate !== bDate) return bDate.localeCompare(aDate);
-    }
+  const attribute = RULE_ATTRIBUTES[rule];
+  const value = unit?.[`@_${attribute}`] || '';
+  const otherValue = other?.[`@_${attribute}`] || '';
+  const versus = kept ? 'vs' : 'vs kept';
 
-    if (creationDate) {
-      const aDate = a['@_creationdate'] || '';
-      const bDate = b['@_creationdate'] || '';
-      if (aDate !== bDate) return bDate.localeCompare(aDate);
-    }
+  if (rule === 'creationId' || rule === 'changeId') {
+    const ids = priorities?.[rule] || [];
+    const formatId = id => `'${id || '-'}' ${ids.includes(id) ? `ranked #${ids.indexOf(id) + 1}` : 'unranked'}`;
+    return `${attribute} ${formatId(value)} ${versus} ${formatId(otherValue)}`;
   }
 
-  return 0;
+  return `${kept ? 'newer' : 'older'} ${attribute} ${formatTMXDate(value)} ${versus} ${formatTMXDate(otherValue)}`;
+}
+
+function formatTMXDate(date) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(date || '');
+  if (!match) return date || 'none';
+  const [, year, month, day, hour, minute, second] = match;
+  return `${year}-${month}-${day} ${hour}:${minute}:${second}`;
+}
+
+// How many of the best ranked units each group keeps (priorities.keepCount, at least 1)
+function getKeepCount(priorities) {
+  const keepCount = Math.floor(Number(priorities?.keepCount));
+  return Number.isFinite(keepCount) && keepCount > 1 ? keepCount : 1;
+}
+
+function compareIds(a, b, ids) {
+  if (!Array.isArray(ids) || ids.length === 0) return 0;
+  return compareRanks(ids.indexOf(a), ids.indexOf(b));
+}
+
+// Index of the first prop rule the unit matches, or -1
+function findPropRank(tu, propRules) {
+  if (!Array.isArray(propRules) || propRules.length === 0) return -1;
+
+  const props = getTUProps(tu);
+  return propRules.findIndex(rule => props.some(prop => prop.type === rule.type && prop.value === rule.value));
+}
+
+// Ranks are list positions where -1 means unranked; lower is better
+function compareRanks(aIndex, bIndex) {
+  if (aIndex === bIndex) return 0;
+  if (aIndex === -1) return 1;
+  if (bIndex === -1) return -1;
+  return aIndex - bIndex;
+}
+
+// TMX dates (YYYYMMDDThhmmssZ) sort lexically; newer first
+function compareDates(a, b) {
+  return (b || '').localeCompare(a || '');
 }
\ No newline at end of file
@@ -0,0 +1,143 @@
+// Filters, sorts and pages the duplicates list by group for react-table's manual sorting, filtering and pagination
+
+export function indexDuplicateGroups(duplicates) {
+  if (!Array.isArray(duplicates)) {
+    throw new Error('Invalid duplicates data: expected array');
+  }
+
+  const groups = new Map();
+  duplicates.forEach(entry => {
+    const id = getGroupId(entry);
+    if (!groups.has(id)) {
+      groups.set(id, { id, entries: [] });
+    }
+    groups.get(id).entries.push(entry);
+  });
+  return Array.from(groups.values());
+}
+
+export function getGroupId(entry) {
+  return entry.groupId ?? `${entry.sourceText}|${entry.targetText}`;
+}
+
+// Filters that compare whole values; date columns take { from, to } ranges (YYYY-MM-DD) and the rest match substrings
+const FILTER_TYPES = {
+  status: 'equals',
+  creationId: 'equals',
+  changeId: 'equals',
+  creationDate: 'dateRange',
+  changeDate: 'dateRange'
+};
+
+// columnFilters and sorting use react-table's state shapes: [{ id, value }] and [{ id, desc }];
+// globalFilter searches source and target texts and groupSize ({ min, max }) counts every unit in the group
+export function queryDuplicateGroups(groups, {
+  columnFilters = [],
+  globalFilter = '',
+  groupSize = {},
+  sorting = [],
+  pageIndex = 0,
+  pageSize = 50
+} = {}) {
+  if (!Array.isArray(groups)) {
+    throw new Error('Invalid duplicate groups: expected array');
+  }
+
+  const filters = columnFilters.filter(filter => filter.value !== undefined && filter.value !== '');
+  const search = globalFilter.trim().toLowerCase();
+  const minSize = Number(groupSize.min) || 0;
+  const maxSize = Number(groupSize.max) || Infinity;
+
+  let matched = groups;
+  if (filters.length > 0 || search || minSize > 0 || maxSize < Infinity) {
+    matched = [];
+    groups.forEach(group => {
+      if (group.entries.length < minSize || group.entries.length > maxSize) return;
+
+      const entries = group.entries.filter(entry =>
+        (!search || matchesSearch(entry, search)) && filters.every(filter => matchesFilter(entry, filter))
+      );
+      if (entries.length > 0) {
+        matched.push(entries.length === group.entries.length ? group : { ...group, entries });
+      }
+    });
+  }
+
+  if (sorting.length > 0) {
+    const compareEntries = (a, b) => {
+      for (const { id, desc } of sorting) {
+        const comparison = compareValues(getSortValue(a, id), getSortValue(b, id));
+        if (comparison !== 0) return desc ? -comparison : comparison;
+      }
+      return 0;
+    };
+
+    // Groups sort by the unit they keep; units inside a group follow the same order
+    matched = matched
+      .map(group => ({ ...group, entries: [...group.entries].sort(compareEntries) }))
+      .sort((a, b) => compareEntries(getRepresentative(a), getRepresentative(b)));
+  }
+
+  const pageCount = Math.max(1, Math.ceil(matched.length / pageSize));
+  const page = matched.slice(pageIndex * pageSize, (pageIndex + 1) * pageSize);
+
+  return {
+    rows: page.flatMap(group => group.entries),
+    // Every matching group, not just this page, so selections can span pages
+    groupIds: matched.map(group => group.id),
+    groupCount: matched.length,
+    unitCount: matched.reduce((count, group) => count + group.entries.length, 0),
+    pageCount
+  };
+}
+
+export function getFilterOptions(groups, id) {
+  const values = new Set();
+  groups.forEach(group => group.entries.forEach(entry => {
+    if (entry[id]) values.add(entry[id]);
+  }));
+  return Array.from(values).sort((a, b) => a.localeCompare(b));
+}
+
+function matchesSearch(entry, search) {
+  return (entry.sourceText || '').toLowerCase().includes(search) || matchesTargets(entry, search);
+}
+
+function matchesTargets(entry, search) {
+  const targets = entry.targets || [{ text: entry.targetText }];
+  return targets.some(target => (target.text || '').toLowerCase().includes(search));
+}
+
+function matchesFilter(entry, { id, value }) {
+  switch (FILTER_TYPES[id]) {
+    case 'equals':
+      return entry[id] === value;
+    case 'dateRange': {
+      // TMX dates start with YYYYMMDD, so day bounds compare as strings
+      const day = (entry[id] || '').substring(0, 8);
+      const from = (value.from || '').replace(/-/g, '');
+      const to = (value.to || '').replace(/-/g, '');
+      if (!from && !to) return true;
+      return Boolean(day) && (!from || day >= from) && (!to || day <= to);
+    }
+    default: {
+      const search = String(value).toLowerCase();
+      return id === 'targetText'
+        ? matchesTargets(entry, search)
+        : String(entry[id] ?? '').toLowerCase().includes(search);
+    }
+  }
+}
+
+function getRepresentative(group) {
+  return group.entries.find(entry => entry.status === 'keep') || group.entries[0];
+}
+
+function getSortValue(entry, id) {
+  return entry[id] ?? '';
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
\ No newline at end of file
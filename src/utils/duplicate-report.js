@@ -0,0 +1,68 @@
+// Machine-readable summary of what a cleaning run would keep and remove, grouped by duplicate group. review marks
+// a report of a review in progress, manual decisions included, rather than of the analysis alone
+export function createDuplicateReport(duplicates, { fileName, languages, priorities, options, review = false } = {}) {
+  if (!Array.isArray(duplicates)) {
+    throw new Error('Invalid duplicates data: expected array');
+  }
+
+  const groups = new Map();
+  duplicates.forEach(entry => {
+    const key = entry.groupId ?? entry.groupKey ?? `${entry.sourceText}|${entry.targetText}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(entry);
+  });
+
+  const reportGroups = Array.from(groups, ([id, entries]) => {
+    const kept = entries.filter(entry => entry.status === 'keep');
+    const deleted = entries.filter(entry => entry.status !== 'keep');
+    const [text, tagSignature] = (entries[0].groupKey ?? id).split('\u0000');
+
+    return {
+      id,
+      key: text,
+      ...(tagSignature ? { tagSignature } : {}),
+      decidedBy: kept[0]?.decidedBy ?? null,
+      reason: kept[0]?.reason ?? null,
+      kept: kept.map(describeEntry),
+      deleted: deleted.map(describeEntry)
+    };
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    file: fileName || null,
+    basis: review ? 'review' : 'analysis',
+    ...(review ? { manualDecisions: duplicates.filter(entry => entry.decidedBy === 'manual').length } : {}),
+    languages: languages || null,
+    priorities: priorities || null,
+    options: options || null,
+    summary: {
+      groups: reportGroups.length,
+      units: duplicates.length,
+      kept: reportGroups.reduce((count, group) => count + group.kept.length, 0),
+      deleted: reportGroups.reduce((count, group) => count + group.deleted.length, 0)
+    },
+    groups: reportGroups
+  };
+}
+
+function describeEntry(entry) {
+  const targets = Array.isArray(entry.targets)
+    ? entry.targets.map(({ language, text }) => ({ language, text }))
+    : [{ language: null, text: entry.targetText }];
+
+  return {
+    ordinal: entry.ordinal ?? null,
+    sourceText: entry.sourceText,
+    targets,
+    creationId: entry.creationId || null,
+    changeId: entry.changeId || null,
+    creationDate: entry.creationDate || null,
+    changeDate: entry.changeDate || null,
+    ...(entry.similarity !== undefined ? { similarity: entry.similarity } : {}),
+    decidedBy: entry.decidedBy || null,
+    reason: entry.reason || null
+  };
+}
\ No newline at end of file
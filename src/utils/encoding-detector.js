@@ -4,6 +4,23 @@ const ENCODING_SIGNATURES = {
     UTF16BE: new Uint8Array([0xFE, 0xFF]),
     UTF8: new Uint8Array([0xEF, 0xBB, 0xBF])
   };
+
+  // Encodings the output can be switched to on the final step
+  export const OUTPUT_ENCODINGS = {
+    'utf-8': { label: 'UTF-8', encoding: 'utf-8', hasBOM: false, xmlEncoding: 'UTF-8' },
+    'utf-8-bom': { label: 'UTF-8 with BOM', encoding: 'utf-8', hasBOM: true, xmlEncoding: 'UTF-8' },
+    'utf-16le': { label: 'UTF-16 LE with BOM', encoding: 'utf-16le', hasBOM: true, xmlEncoding: 'UTF-16' },
+    'utf-16be': { label: 'UTF-16 BE with BOM', encoding: 'utf-16be', hasBOM: true, xmlEncoding: 'UTF-16' }
+  };
+
+  // Single-byte encodings we can write, with the highest code point each one maps directly
+  const SINGLE_BYTE_ENCODINGS = {
+    'ascii': 0x7F,
+    'us-ascii': 0x7F,
+    'iso-8859-1': 0xFF,
+    'latin1': 0xFF,
+    'windows-1252': 0xFF
+  };
   
   export class EncodingInfo {
     constructor(encoding, hasBOM, originalBOM, xmlEncoding) {
@@ -41,6 +58,10 @@ const ENCODING_SIGNATURES = {
     
     // If we have XML declaration but no BOM
     if (xmlInfo) {
+      // The declaration was readable as single bytes, so a UTF-16 label without BOM is mislabeled UTF-8
+      if (normalizeEncoding(xmlInfo).startsWith('utf-16')) {
+        return new EncodingInfo('utf-8', false, null, xmlInfo);
+      }
       return new EncodingInfo(normalizeEncoding(xmlInfo), false, null, xmlInfo);
     }
     
@@ -114,6 +135,10 @@ const ENCODING_SIGNATURES = {
       bom: normalizeEncoding(bomEncoding),
       xml: normalizeEncoding(xmlEncoding)
     };
+    // A plain "utf-16" declaration leaves the byte order to the BOM
+    if (normalized.xml === 'utf-16') {
+      return normalized.bom.startsWith('utf-16');
+    }
     return normalized.bom === normalized.xml;
   }
   
@@ -155,12 +180,42 @@ const ENCODING_SIGNATURES = {
     }
   }
   
+  export function isEncodingSupported(encoding) {
+    const normalized = normalizeEncoding(encoding || '');
+    return normalized === 'utf-8' || normalized.startsWith('utf-16') || normalized in SINGLE_BYTE_ENCODINGS;
+  }
+
+  export function resolveOutputEncoding(sourceInfo, override = 'original') {
+    if (override && override !== 'original') {
+      const preset = OUTPUT_ENCODINGS[override];
+      if (!preset) {
+        throw new Error(`Unsupported output encoding: ${override}`);
+      }
+      const bom = preset.hasBOM
+        ? (preset.encoding === 'utf-8' ? ENCODING_SIGNATURES.UTF8 : preset.encoding === 'utf-16le' ? ENCODING_SIGNATURES.UTF16LE : ENCODING_SIGNATURES.UTF16BE)
+        : null;
+      return new EncodingInfo(preset.encoding, preset.hasBOM, bom, preset.xmlEncoding);
+    }
+
+    if (sourceInfo && isEncodingSupported(sourceInfo.encoding)) {
+      return sourceInfo;
+    }
+
+    console.warn(`Cannot write ${sourceInfo?.encoding || 'unknown'} encoding, falling back to UTF-8`);
+    return new EncodingInfo('utf-8', false, null, 'UTF-8');
+  }
+
   export function encodeWithEncoding(text, encodingInfo) {
     try {
       // For UTF-16, we need to handle the encoding manually
       if (encodingInfo.encoding.startsWith('utf-16')) {
         return encodeUTF16(text, encodingInfo);
       }
+
+      const maxCode = SINGLE_BYTE_ENCODINGS[normalizeEncoding(encodingInfo.encoding)];
+      if (maxCode !== undefined) {
+        return encodeSingleByte(text, maxCode);
+      }
       
       // For other encodings, use TextEncoder
       const encoder = new TextEncoder();
@@ -180,8 +235,25 @@ const ENCODING_SIGNATURES = {
     }
   }
   
+  // Characters outside the encoding are written as XML character references
+  function encodeSingleByte(text, maxCode) {
+    const bytes = [];
+    for (const char of text) {
+      const code = char.codePointAt(0);
+      if (code <= maxCode && (maxCode === 0x7F || code < 0x80 || code > 0x9F)) {
+        bytes.push(code);
+      } else {
+        for (const ref of `&#${code};`) {
+          bytes.push(ref.charCodeAt(0));
+        }
+      }
+    }
+    return new Uint8Array(bytes);
+  }
+
   function encodeUTF16(text, encodingInfo) {
-    const isLE = encodingInfo.encoding === 'utf-16le';
+    // Plain "utf-16" (declared without a BOM) is read as little-endian, so write it back the same way
+    const isLE = encodingInfo.encoding !== 'utf-16be';
     const utf16Array = new Uint8Array(text.length * 2 + (encodingInfo.hasBOM ? 2 : 0));
     let offset = 0;
     
@@ -1,10 +1,20 @@
 import { parseTMX } from './tmx-parser.js';
 import { validateTMX } from './tmx-validator.js';
-import { detectEncoding, decodeBuffer } from './encoding-utils.js';
+import { decodeBuffer } from './encoding-utils.js';
+import { detectFileEncoding } from './encoding-detector.js';
+import { detectLanguagePair, getHeaderProp, getTUProps, hasSegment } from './tmx-core.js';
+import { assignSegment, segmentFromElement } from './segment-model.js';
 
 const CHUNK_SIZE = 2 * 1024 * 1024; // 2MB chunks
 const MAX_BATCH_MEMORY = 1.5 * 1024 * 1024; // 1.5MB max batch memory
 let currentBatchSize = 1000; // Will adjust dynamically
+// Prop types with more distinct values than this hold per-unit data (context, notes) rather than categories
+const MAX_PROP_VALUES = 200;
+
+// Units are numbered the way the writer's XML parser numbers them: commented-out units and markup inside CDATA
+// sections are skipped and a self-closing <tu/> still takes a position. Comments, CDATA sections and units cut
+// off by the end of the buffer match up to the end so scanning waits for the next chunk
+const UNIT_PATTERN = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<tu\b[^>]*\/>|<tu\b[^>]*>[\s\S]*?(?:<\/tu>|$)/g;
 
 // Moved cleanupHandles to module scope
 const cleanupHandles = new Set();
@@ -28,7 +38,8 @@ export async function processTMXFile(file, onProgress) {
       throw new Error('Failed to read file sample for encoding detection');
     }
 
-    const encoding = detectEncoding(new Uint8Array(encodingSample));
+    const encodingInfo = detectFileEncoding(new Uint8Array(encodingSample));
+    const encoding = encodingInfo?.encoding === 'utf-16' ? 'utf-16le' : encodingInfo?.encoding;
     if (!encoding) {
       throw new Error('Unable to detect file encoding');
     }
@@ -88,6 +99,9 @@ export async function processTMXFile(file, onProgress) {
     if (!metadata) {
       throw new Error('Failed to extract metadata');
     }
+    metadata.encoding = { encoding, hasBOM: encodingInfo.hasBOM };
+    // Every <tu> position, including units that failed to parse; the writer checks its own count against it
+    metadata.unitCount = parser.tuOrdinal;
 
     return { content: tmxData, metadata };
   } catch (error) {
@@ -126,6 +140,7 @@ class AdaptiveTMXStreamParser {
     this.currentBatch = [];
     this.abortSignal = abortSignal;
     this.failedTUs = 0;
+    this.tuOrdinal = 0;
   }
 
   async processChunk(chunk) {
@@ -156,26 +171,36 @@ class AdaptiveTMXStreamParser {
   }
 
   async processBufferedTUs() {
-    const tuRegex = /<tu\b[^>]*>[\s\S]*?<\/tu>/g;
+    const unitPattern = new RegExp(UNIT_PATTERN);
+    let consumed = 0;
     let match;
 
-    while ((match = tuRegex.exec(this.buffer)) !== null) {
+    while ((match = unitPattern.exec(this.buffer)) !== null) {
       if (this.abortSignal.aborted) {
         throw new Error('Processing aborted during TU parsing');
       }
 
       const tuContent = match[0];
+      if (!isCompleteMatch(tuContent)) {
+        break; // Cut off by the end of the buffer
+      }
+      consumed = unitPattern.lastIndex;
+      if (!tuContent.startsWith('<tu')) {
+        continue;
+      }
+
       const tuSize = tuContent.length * 2; // UTF-16
+      // Position of the <tu> in the file, counted even when it fails to parse, so the writer can find it again
+      const ordinal = this.tuOrdinal++;
 
       if (this.currentBatchSize + tuSize > MAX_BATCH_MEMORY) {
         await this.processBatch();
-        this.currentBatch = [];
-        this.currentBatchSize = 0;
       }
 
       try {
         const tu = this.parseTU(tuContent);
         if (tu) {
+          tu.ordinal = ordinal;
           this.currentBatch.push(tu);
           this.currentBatchSize += tuSize;
         }
@@ -186,10 +211,7 @@ class AdaptiveTMXStreamParser {
     }
 
     // Keep only unprocessed content in buffer
-    const lastTuEnd = this.buffer.lastIndexOf('</tu>');
-    if (lastTuEnd !== -1) {
-      this.buffer = this.buffer.substring(lastTuEnd + 5);
-    }
+    this.buffer = this.buffer.substring(consumed);
   }
 
   async processBatch() {
@@ -214,6 +236,9 @@ class AdaptiveTMXStreamParser {
     }
 
     currentBatchSize = Math.floor(this.currentBatch.length * (MAX_BATCH_MEMORY / this.currentBatchSize));
+    // finalize() calls this again after reading the rest of the buffer; a batch left in place would be added twice
+    this.currentBatch = [];
+    this.currentBatchSize = 0;
     await cleanupMemory();
   }
 
@@ -231,7 +256,16 @@ class AdaptiveTMXStreamParser {
         throw new Error('No header element found');
       }
 
-      return this.parseAttributes(headerElem);
+      const header = this.parseAttributes(headerElem);
+      const props = Array.from(headerElem.querySelectorAll('prop')).map(propElem => ({
+        ...this.parseAttributes(propElem),
+        '#text': propElem.textContent
+      }));
+      if (props.length > 0) {
+        header.prop = props;
+      }
+
+      return header;
     } catch (error) {
       throw new Error(`Header parsing failed: ${error.message}`);
     }
@@ -256,16 +290,28 @@ class AdaptiveTMXStreamParser {
         tuv: []
       };
 
+      // Only the TU's own props; TUV props are not used for ranking
+      const props = Array.from(tuElem.children)
+        .filter(child => child.tagName === 'prop')
+        .map(propElem => ({
+          ...this.parseAttributes(propElem),
+          '#text': propElem.textContent
+        }));
+      if (props.length > 0) {
+        tu.prop = props;
+      }
+
       const tuvs = tuElem.querySelectorAll('tuv');
       if (tuvs.length === 0) {
         throw new Error('No TUV elements found');
       }
 
       tuvs.forEach(tuvElem => {
-        const tuv = {
-          ...this.parseAttributes(tuvElem),
-          seg: tuvElem.querySelector('seg')?.textContent || ''
-        };
+        const segElem = tuvElem.querySelector('seg');
+        const tuv = assignSegment(
+          this.parseAttributes(tuvElem),
+          segElem ? segmentFromElement(segElem) : []
+        );
         tu.tuv.push(tuv);
       });
 
@@ -298,8 +344,8 @@ class AdaptiveTMXStreamParser {
   validateTU(tu) {
     return tu && 
            Array.isArray(tu.tuv) && 
-           tu.tuv.length === 2 &&
-           tu.tuv.every(tuv => tuv['@_xml:lang'] && tuv.seg);
+           tu.tuv.length >= 2 &&
+           tu.tuv.every(tuv => tuv['@_xml:lang'] && hasSegment(tuv));
   }
 
   async finalize() {
@@ -337,6 +383,12 @@ class AdaptiveTMXStreamParser {
   }
 }
 
+function isCompleteMatch(text) {
+  if (text.startsWith('<!--')) return text.endsWith('-->');
+  if (text.startsWith('<![CDATA[')) return text.endsWith(']]>');
+  return /^<tu\b[^>]*\/>$/.test(text) || text.endsWith('</tu>');
+}
+
 async function readFileSlice(file, start, end, abortSignal) {
   if (start < 0 || end > file.size || start >= end) {
     throw new Error('Invalid slice parameters');
@@ -369,6 +421,8 @@ async function extractMetadataWithAdaptiveBatching(tmxData, abortSignal) {
   const translationUnits = tmxData.tmx.body.tu;
   const creationIds = new Set();
   const changeIds = new Set();
+  const languages = new Set();
+  const props = new Map(); // prop type -> Set of values, or null once it has too many to offer
   let currentBatch = [];
   let currentBatchSize = 0;
   let processedTUs = 0;
@@ -382,7 +436,7 @@ async function extractMetadataWithAdaptiveBatching(tmxData, abortSignal) {
       const tuSize = estimateTUSize(tu);
       
       if (currentBatchSize + tuSize > MAX_BATCH_MEMORY) {
-        await processBatchMetadata(currentBatch, creationIds, changeIds);
+        await processBatchMetadata(currentBatch, creationIds, changeIds, languages, props);
         processedTUs += currentBatch.length;
         currentBatch = [tu];
         currentBatchSize = tuSize;
@@ -397,7 +451,7 @@ async function extractMetadataWithAdaptiveBatching(tmxData, abortSignal) {
   }
 
   if (currentBatch.length > 0) {
-    await processBatchMetadata(currentBatch, creationIds, changeIds);
+    await processBatchMetadata(currentBatch, creationIds, changeIds, languages, props);
     processedTUs += currentBatch.length;
   }
 
@@ -405,19 +459,30 @@ async function extractMetadataWithAdaptiveBatching(tmxData, abortSignal) {
     throw new Error('No valid TUs processed for metadata extraction');
   }
 
+  let languagePair = { source: header['@_srclang'] || '', target: getHeaderProp(header, 'targetlang') };
+  try {
+    languagePair = detectLanguagePair(tmxData);
+  } catch (error) {
+    console.warn(`Language pair detection failed: ${error.message}`);
+  }
+
   return {
-    sourceLanguage: header['@_srclang'] || '',
-    targetLanguage: header.prop?.find(p => p['@_type'] === 'targetlang')?.['#text'] || '',
+    sourceLanguage: languagePair.source,
+    targetLanguage: languagePair.target,
+    languages: Array.from(languages),
     creationTool: header['@_creationtool'] || '',
     creationToolVersion: header['@_creationtoolversion'] || '',
     segmentType: header['@_segtype'] || '',
     creationIds: Array.from(creationIds),
     changeIds: Array.from(changeIds),
+    props: Object.fromEntries(Array.from(props)
+      .filter(([, values]) => values)
+      .map(([type, values]) => [type, Array.from(values).sort((a, b) => a.localeCompare(b))])),
     totalSegments: translationUnits.length
   };
 }
 
-function processBatchMetadata(batch, creationIds, changeIds) {
+function processBatchMetadata(batch, creationIds, changeIds, languages, props) {
   if (!Array.isArray(batch)) {
     throw new Error('Invalid batch format');
   }
@@ -426,6 +491,19 @@ function processBatchMetadata(batch, creationIds, changeIds) {
     try {
       if (tu['@_creationid']) creationIds.add(tu['@_creationid']);
       if (tu['@_changeid']) changeIds.add(tu['@_changeid']);
+      tu.tuv?.forEach(tuv => {
+        if (tuv['@_xml:lang']) languages.add(tuv['@_xml:lang']);
+      });
+      getTUProps(tu).forEach(({ type, value }) => {
+        if (!props.has(type)) props.set(type, new Set());
+        const values = props.get(type);
+        if (!values || values.has(value)) return;
+        if (values.size < MAX_PROP_VALUES) {
+          values.add(value);
+        } else {
+          props.set(type, null);
+        }
+      });
     } catch (error) {
       console.warn(`Error extracting IDs: ${error.message}`);
     }
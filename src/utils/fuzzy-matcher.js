@@ -0,0 +1,164 @@
+// Merges exact duplicate groups whose keys are within the threshold of 1 - edit distance / longer key length.
+// Each key joins the most similar earlier leader, so clusters cannot chain
+const GRAM_SIZE = 3;
+const PADDING = '\u0001'.repeat(GRAM_SIZE - 1);
+const PROGRESS_INTERVAL = 1000;
+const EPSILON = 1e-9; // keeps texts exactly at the threshold matching despite floating point error
+
+// groups maps keys to units (as built by groupTranslationUnits); threshold is a fraction such as 0.95.
+// Returns a new map from leader keys to the units of every merged group, with unit.similarity set (0-100)
+export function mergeSimilarGroups(groups, threshold, onProgress) {
+  if (!(groups instanceof Map)) {
+    throw new Error('Invalid groups: expected Map');
+  }
+  if (!(threshold > 0 && threshold <= 1)) {
+    throw new Error(`Invalid similarity threshold: ${threshold}`);
+  }
+
+  const keys = Array.from(groups.keys()).map(key => {
+    const [text, tagSignature = ''] = key.split('\u0000');
+    return { key, text, tagSignature, grams: getGrams(text), checkedBy: -1 };
+  });
+
+  // Trigrams become ranks, rarest first, so each key's prefix is a numeric sort away
+  const frequency = new Map();
+  keys.forEach(({ grams }) => grams.forEach(gram => frequency.set(gram, (frequency.get(gram) || 0) + 1)));
+  const ranks = new Map(
+    Array.from(frequency.keys())
+      .sort((a, b) => frequency.get(a) - frequency.get(b) || (a < b ? -1 : 1))
+      .map((gram, rank) => [gram, rank])
+  );
+  frequency.clear();
+
+  const indexes = new Map(); // tag signature -> trigram rank -> leaders
+  const clusters = new Map();
+
+  keys.forEach((entry, position) => {
+    const index = indexes.get(entry.tagSignature) || new Map();
+    indexes.set(entry.tagSignature, index);
+
+    // Similar keys differ in length by at most the threshold, which bounds the edit distance from this side
+    const maxDistance = Math.floor((1 - threshold) * entry.text.length / threshold + EPSILON);
+    // Keys within maxDistance edits share one of their GRAM_SIZE * maxDistance + 1 rarest trigrams
+    const prefix = Int32Array.from(entry.grams, gram => ranks.get(gram))
+      .sort()
+      .subarray(0, GRAM_SIZE * maxDistance + 1);
+    entry.grams = null;
+
+    const leader = findLeader(entry, position, prefix, index, threshold);
+    if (leader) {
+      const units = groups.get(entry.key);
+      units.forEach(unit => {
+        unit.similarity = leader.similarity;
+      });
+      clusters.get(leader.key).push(...units);
+    } else {
+      const units = groups.get(entry.key);
+      units.forEach(unit => {
+        unit.similarity = 100;
+      });
+      clusters.set(entry.key, [...units]);
+
+      prefix.forEach(rank => {
+        if (!index.has(rank)) {
+          index.set(rank, []);
+        }
+        index.get(rank).push(entry);
+      });
+    }
+
+    if (onProgress && (position + 1) % PROGRESS_INTERVAL === 0) {
+      onProgress(position + 1, keys.length);
+    }
+  });
+
+  // Merged units come from different groups; restore file order so ties still keep the first unit in the file
+  clusters.forEach(units => {
+    if (units.some(unit => unit.similarity < 100)) {
+      units.sort((a, b) => (a.ordinal ?? 0) - (b.ordinal ?? 0));
+    }
+  });
+
+  return clusters;
+}
+
+// Similarity of two texts as a fraction, or 0 when it is below the threshold
+export function getSimilarity(a, b, threshold = 0) {
+  const longer = Math.max(a.length, b.length);
+  if (longer === 0) return 1;
+
+  const maxDistance = getMaxDistance(longer, threshold);
+  const distance = getEditDistance(a, b, maxDistance);
+  return distance > maxDistance ? 0 : 1 - distance / longer;
+}
+
+function findLeader(entry, position, prefix, index, threshold) {
+  let best = null;
+
+  for (const rank of prefix) {
+    const leaders = index.get(rank);
+    if (!leaders) continue;
+
+    for (const leader of leaders) {
+      // Leaders sharing several prefix trigrams are compared once
+      if (leader.checkedBy === position) continue;
+      leader.checkedBy = position;
+
+      const longer = Math.max(entry.text.length, leader.text.length);
+      if (Math.abs(entry.text.length - leader.text.length) > getMaxDistance(longer, threshold)) continue;
+
+      // Zero means below the threshold
+      const similarity = getSimilarity(entry.text, leader.text, threshold);
+      if (similarity > 0 && (!best || similarity > best.similarity)) {
+        best = { key: leader.key, similarity };
+      }
+    }
+  }
+
+  return best && { key: best.key, similarity: Math.floor(best.similarity * 100 + EPSILON) };
+}
+
+// Largest edit distance that keeps texts of which the longer has this length within the threshold
+function getMaxDistance(length, threshold) {
+  return Math.floor((1 - threshold) * length + EPSILON);
+}
+
+function getGrams(text) {
+  const padded = `${PADDING}${text}${PADDING}`;
+  const grams = new Set();
+  for (let i = 0; i + GRAM_SIZE <= padded.length; i++) {
+    grams.add(padded.substring(i, i + GRAM_SIZE));
+  }
+  return Array.from(grams);
+}
+
+// Levenshtein distance limited to a band of maxDistance around the diagonal; returns maxDistance + 1 when exceeded
+function getEditDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  if (a === b) return 0;
+
+  let previous = new Array(b.length + 1);
+  let current = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) {
+    previous[j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    const from = Math.max(1, i - maxDistance);
+    const to = Math.min(b.length, i + maxDistance);
+    current.fill(maxDistance + 1);
+    current[0] = i;
+    let rowMin = from === 1 ? i : maxDistance + 1;
+
+    for (let j = from; j <= to; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    [previous, current] = [current, previous];
+  }
+
+  return previous[b.length];
+}
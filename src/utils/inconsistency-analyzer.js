@@ -0,0 +1,93 @@
+import { findTUV, getTargetLanguages } from './tmx-core.js';
+import { normalizeMatchText, compileCustomRules } from './text-normalizer.js';
+
+// Finds sources translated in more than one way and targets used for more than one source. Texts are compared
+// after the case, whitespace and punctuation options, per target language, and inline tags are ignored. Each
+// selected target is checked on its own, so multilingual units missing one language still count for the others.
+// Nothing is marked for deletion: this is a report for reviewers
+const PROGRESS_INTERVAL = 5000;
+
+// Returns { sources, targets }; each item is { language, text, units, variants } where variants lists the distinct
+// counterpart texts with the units that use them. Items are ordered by number of variants, then file position
+export function findInconsistencies(tus, options, languages, onProgress) {
+  if (!Array.isArray(tus)) {
+    throw new Error('Invalid translation units: expected array');
+  }
+  compileCustomRules(options?.customRules || []);
+
+  const bySource = new Map();
+  const byTarget = new Map();
+
+  const targetLanguages = getTargetLanguages(languages);
+
+  tus.forEach((tu, index) => {
+    // Units without source text, such as segments made only of inline codes, have nothing to compare
+    const sourceText = tu && Array.isArray(tu.tuv) ? getSegmentText(tu, languages.source) : '';
+    if (sourceText) {
+      const unit = {
+        ordinal: tu.ordinal ?? index,
+        creationId: tu['@_creationid'] || '',
+        changeId: tu['@_changeid'] || '',
+        creationDate: tu['@_creationdate'] || '',
+        changeDate: tu['@_changedate'] || ''
+      };
+      const source = { text: sourceText, language: languages.source, side: 'source' };
+
+      targetLanguages.forEach(language => {
+        const text = getSegmentText(tu, language);
+        if (!text) return;
+
+        const translation = { text, language, side: 'target' };
+        addVariant(bySource, language, source, translation, unit, options);
+        addVariant(byTarget, language, translation, source, unit, options);
+      });
+    }
+
+    if (onProgress && (index + 1) % PROGRESS_INTERVAL === 0) {
+      onProgress(index + 1, tus.length);
+    }
+  });
+
+  return {
+    sources: collectInconsistencies(bySource),
+    targets: collectInconsistencies(byTarget)
+  };
+}
+
+function getSegmentText(tu, language) {
+  const seg = findTUV(tu, language)?.seg;
+  return typeof seg === 'string' ? seg.trim() : '';
+}
+
+// segment and variant are { text, language, side }, normalized as the duplicate keys normalize them
+function addVariant(index, language, segment, variant, unit, options) {
+  const key = `${language}\u0000${normalizeMatchText(segment.text, options, segment)}`;
+  if (!index.has(key)) {
+    index.set(key, { language, text: segment.text, variants: new Map() });
+  }
+
+  const { variants } = index.get(key);
+  const variantKey = normalizeMatchText(variant.text, options, variant);
+  if (!variants.has(variantKey)) {
+    variants.set(variantKey, { text: variant.text, units: [] });
+  }
+  variants.get(variantKey).units.push(unit);
+}
+
+function collectInconsistencies(index) {
+  const items = [];
+  index.forEach(({ language, text, variants }) => {
+    if (variants.size < 2) return;
+
+    const list = Array.from(variants.values()).sort((a, b) => b.units.length - a.units.length);
+    items.push({
+      language,
+      text,
+      units: list.reduce((count, variant) => count + variant.units.length, 0),
+      variants: list.map(({ text: variantText, units }) => ({ text: variantText, count: units.length, units }))
+    });
+  });
+
+  // The index keeps first-seen order and the sort is stable, so ties stay in file order
+  return items.sort((a, b) => b.variants.length - a.variants.length);
+}
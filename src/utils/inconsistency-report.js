@@ -0,0 +1,112 @@
+import { escapeXML } from './xml-utils.js';
+
+const CSV_COLUMNS = [
+  'Type', 'Target Language', 'Text', 'Variants', 'Variant', 'Count',
+  'Creation IDs', 'Change IDs', 'Last Changed', 'Units'
+];
+// Sources with several translations, and targets used to translate several sources
+const SECTIONS = {
+  sources: { type: 'Source', title: 'Sources with several translations' },
+  targets: { type: 'Target', title: 'Targets used for several sources' }
+};
+
+// One row per variant, so the file sorts and filters well in a spreadsheet. Starts with a BOM for Excel
+export function createInconsistencyCSV(inconsistencies) {
+  const rows = [CSV_COLUMNS];
+  forEachVariant(inconsistencies, (type, item, variant) => {
+    rows.push([
+      SECTIONS[type].type,
+      item.language,
+      item.text,
+      item.variants.length,
+      variant.text,
+      variant.count,
+      ...describeUnits(variant.units)
+    ]);
+  });
+
+  return `\uFEFF${rows.map(row => row.map(formatCSVCell).join(',')).join('\r\n')}\r\n`;
+}
+
+// A standalone page that can be mailed to translators; unit numbers match the Unit column of the review table
+export function createInconsistencyHTML(inconsistencies, { fileName } = {}) {
+  const sections = Object.entries(SECTIONS).map(([type, { title }]) => {
+    const items = inconsistencies[type] || [];
+    const rows = items.flatMap(item => item.variants.map((variant, index) => `
+      <tr${index === 0 ? ' class="first"' : ''}>
+        ${index === 0 ? `<td rowspan="${item.variants.length}">${escapeHTML(item.text)}<div class="meta">${escapeHTML(item.language)} · ${item.variants.length} variants</div></td>` : ''}
+        <td>${escapeHTML(variant.text)}</td>
+        <td class="count">${variant.count}</td>
+        ${describeUnits(variant.units).map(value => `<td>${escapeHTML(value)}</td>`).join('')}
+      </tr>`)).join('');
+
+    return `
+    <h2>${title} (${items.length})</h2>
+    ${items.length === 0 ? '<p>None found.</p>' : `<table>
+      <thead><tr><th>Text</th><th>Variant</th><th>Count</th><th>Creation IDs</th><th>Change IDs</th><th>Last Changed</th><th>Units</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>`}`;
+  }).join('');
+
+  const title = `Inconsistent translations${fileName ? ` in ${fileName}` : ''}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHTML(title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+    th, td { border: 1px solid #ccc; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    th { background: #f0f0f0; }
+    tr.first td { border-top: 2px solid #888; }
+    .count { text-align: right; }
+    .meta { color: #777; font-size: 0.85em; margin-top: 0.25rem; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHTML(title)}</h1>
+  <p>Generated ${escapeHTML(new Date().toLocaleString())}</p>${sections}
+</body>
+</html>
+`;
+}
+
+function forEachVariant(inconsistencies, callback) {
+  Object.keys(SECTIONS).forEach(type => {
+    (inconsistencies[type] || []).forEach(item => {
+      item.variants.forEach(variant => callback(type, item, variant));
+    });
+  });
+}
+
+// Creation IDs, change IDs, latest change date and 1-based unit numbers of a variant
+function describeUnits(units) {
+  const distinct = key => Array.from(new Set(units.map(unit => unit[key]).filter(Boolean))).join(', ');
+  const lastChanged = units
+    .map(unit => unit.changeDate || unit.creationDate)
+    .filter(Boolean)
+    .sort()
+    .pop() || '';
+
+  return [
+    distinct('creationId'),
+    distinct('changeId'),
+    lastChanged,
+    units.map(unit => `#${unit.ordinal + 1}`).join(' ')
+  ];
+}
+
+function formatCSVCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Keep spreadsheets from evaluating segment text as a formula
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHTML(text) {
+  return escapeXML(String(text ?? ''));
+}
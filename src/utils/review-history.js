@@ -0,0 +1,71 @@
+// Undo/redo for manual review decisions. Each step stores only the units it changed, so the history
+// stays small even when the duplicates list has hundreds of thousands of entries
+const MAX_HISTORY = 100;
+
+export function createReviewState(duplicates) {
+  return { duplicates, past: [], future: [] };
+}
+
+// Actions: { type: 'reset', duplicates }, { type: 'apply', update, label }, { type: 'undo' } and { type: 'redo' };
+// update maps the duplicates list to a new one and must return the same list when nothing changes
+export function reviewReducer(state, action) {
+  switch (action.type) {
+    case 'reset':
+      return createReviewState(action.duplicates);
+    case 'apply': {
+      const updated = action.update(state.duplicates);
+      const changes = diffDuplicates(state.duplicates, updated);
+      if (changes.length === 0) return state;
+
+      const step = { label: action.label, time: Date.now(), changes };
+      return {
+        duplicates: updated,
+        past: [...state.past, step].slice(-MAX_HISTORY),
+        future: []
+      };
+    }
+    case 'undo': {
+      const step = state.past[state.past.length - 1];
+      if (!step) return state;
+      return {
+        duplicates: replayStep(state.duplicates, step, 'before'),
+        past: state.past.slice(0, -1),
+        future: [step, ...state.future]
+      };
+    }
+    case 'redo': {
+      const [step, ...future] = state.future;
+      if (!step) return state;
+      return {
+        duplicates: replayStep(state.duplicates, step, 'after'),
+        past: [...state.past, step],
+        future
+      };
+    }
+    default:
+      throw new Error(`Unknown review action: ${action.type}`);
+  }
+}
+
+function diffDuplicates(before, after) {
+  if (before === after) return [];
+  if (before.length !== after.length) {
+    throw new Error('Review updates must keep every duplicate entry in place');
+  }
+
+  const changes = [];
+  after.forEach((entry, index) => {
+    if (entry !== before[index]) {
+      changes.push({ index, before: before[index], after: entry });
+    }
+  });
+  return changes;
+}
+
+function replayStep(duplicates, step, side) {
+  const updated = [...duplicates];
+  step.changes.forEach(change => {
+    updated[change.index] = change[side];
+  });
+  return updated;
+}
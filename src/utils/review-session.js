@@ -0,0 +1,117 @@
+// A review session holds everything needed to pick up a review later: which file it belongs to, the
+// priorities and options of the analysis, and every unit's decision including manual overrides
+const SESSION_VERSION = 1;
+const SESSION_FORMAT = 'tmx-duplicate-remover-session';
+const FINGERPRINT_CHUNK_SIZE = 8 * 1024 * 1024; // hashed one chunk at a time
+
+const DB_NAME = 'tmx-duplicate-remover';
+const DB_VERSION = 1;
+const STORE_NAME = 'sessions';
+
+// Identifies a file by its size and a SHA-256 of its whole content, hashed chunk by chunk, so any edit changes it
+export async function createFileFingerprint(file) {
+  if (!file) {
+    throw new Error('No file provided for fingerprinting');
+  }
+
+  const chunkDigests = [];
+  for (let offset = 0; offset < file.size || offset === 0; offset += FINGERPRINT_CHUNK_SIZE) {
+    const chunk = await file.slice(offset, offset + FINGERPRINT_CHUNK_SIZE).arrayBuffer();
+    chunkDigests.push(new Uint8Array(await crypto.subtle.digest('SHA-256', chunk)));
+  }
+  const digest = await crypto.subtle.digest('SHA-256', await new Blob(chunkDigests).arrayBuffer());
+  const hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+
+  return { name: file.name, size: file.size, hash };
+}
+
+// languages is the pair the analysis matched on, or null when it detected them itself
+export function createSession({ fingerprint, priorities, options, languages, duplicates }) {
+  if (!fingerprint?.hash) {
+    throw new Error('Invalid session: missing file fingerprint');
+  }
+  if (!Array.isArray(duplicates)) {
+    throw new Error('Invalid duplicates data: expected array');
+  }
+
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    file: fingerprint,
+    priorities,
+    options,
+    languages: languages || null,
+    duplicates
+  };
+}
+
+export function parseSession(json) {
+  let session;
+  try {
+    session = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch (error) {
+    throw new Error(`Invalid session file: ${error.message}`);
+  }
+
+  if (session?.format !== SESSION_FORMAT) {
+    throw new Error('Invalid session file: not a TMX Duplicate Remover session');
+  }
+  if (session.version > SESSION_VERSION) {
+    throw new Error(`Unsupported session version: ${session.version}`);
+  }
+  if (!session.file?.hash || !session.priorities || !session.options || !Array.isArray(session.duplicates)) {
+    throw new Error('Invalid session file: missing file, priorities, options or decisions');
+  }
+  if (!session.duplicates.every(entry => Number.isInteger(entry?.ordinal) && entry.groupId)) {
+    throw new Error('Invalid session file: decisions must carry unit ordinals and group IDs');
+  }
+
+  return session;
+}
+
+export function matchesFingerprint(session, fingerprint) {
+  return Boolean(session?.file && fingerprint) &&
+    session.file.hash === fingerprint.hash &&
+    session.file.size === fingerprint.size;
+}
+
+export async function saveStoredSession(session) {
+  await withStore('readwrite', store => store.put(session, getSessionKey(session.file)));
+}
+
+export async function loadStoredSession(fingerprint) {
+  const session = await withStore('readonly', store => store.get(getSessionKey(fingerprint)));
+  return session ? parseSession(session) : null;
+}
+
+function getSessionKey(fingerprint) {
+  return `${fingerprint.size}:${fingerprint.hash}`;
+}
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(new Error(`Failed to open session storage: ${request.error?.message}`));
+  });
+}
+
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(new Error(`Session storage failed: ${transaction.error?.message}`));
+    });
+  } finally {
+    db.close();
+  }
+}
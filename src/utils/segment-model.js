@@ -0,0 +1,222 @@
+import { escapeXML } from './xml-utils.js';
+
+// A segment is an array of nodes: plain strings for text, objects for inline elements
+// ({ tag, attributes, children }). Native codes inside these tags are not translatable text.
+const INLINE_CODE_TAGS = new Set(['bpt', 'ept', 'ph', 'it', 'ut']);
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const SEGMENT_TOKEN = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const ATTRIBUTE_TOKEN = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+export function parseSegmentXML(xml) {
+  if (typeof xml !== 'string') {
+    throw new Error('Invalid segment markup: expected string');
+  }
+
+  const root = { children: [] };
+  const stack = [root];
+  let match;
+
+  SEGMENT_TOKEN.lastIndex = 0;
+  while ((match = SEGMENT_TOKEN.exec(xml)) !== null) {
+    const [, cdata, closing, tag, rawAttributes, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+
+    if (text !== undefined) {
+      appendText(parent.children, decodeEntities(text));
+    } else if (cdata !== undefined) {
+      appendText(parent.children, cdata);
+    } else if (!tag) {
+      continue; // comment
+    } else if (closing) {
+      if (stack.length === 1 || parent.tag !== tag) {
+        throw new Error(`Invalid segment markup: unexpected </${tag}>`);
+      }
+      stack.pop();
+    } else {
+      const element = { tag, attributes: parseAttributeString(rawAttributes), children: [] };
+      parent.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Invalid segment markup: unclosed <${stack[stack.length - 1].tag}>`);
+  }
+
+  return root.children;
+}
+
+export function segmentFromElement(element) {
+  if (!element || !element.childNodes) {
+    throw new Error('Invalid segment element');
+  }
+
+  const nodes = [];
+  for (const node of element.childNodes) {
+    if (node.nodeType === 3 || node.nodeType === 4) { // text, CDATA
+      appendText(nodes, node.nodeValue);
+    } else if (node.nodeType === 1) {
+      const attributes = {};
+      for (const attr of node.attributes) {
+        attributes[attr.name] = attr.value;
+      }
+      nodes.push({ tag: node.nodeName, attributes, children: segmentFromElement(node) });
+    }
+  }
+  return nodes;
+}
+
+export function segmentToText(nodes) {
+  if (!Array.isArray(nodes)) return '';
+
+  return nodes.map(node => {
+    if (typeof node === 'string') return node;
+    if (!node || INLINE_CODE_TAGS.has(node.tag)) return '';
+    return segmentToText(node.children);
+  }).join('');
+}
+
+export function serializeSegment(nodes) {
+  if (!Array.isArray(nodes)) return '';
+
+  return nodes.map(node => {
+    if (typeof node === 'string') return escapeXML(node);
+    if (!node?.tag) return '';
+
+    const attributes = Object.entries(node.attributes || {})
+      .map(([name, value]) => ` ${name}="${escapeXML(String(value))}"`)
+      .join('');
+    if (!node.children || node.children.length === 0) {
+      return `<${node.tag}${attributes}/>`;
+    }
+    return `<${node.tag}${attributes}>${serializeSegment(node.children)}</${node.tag}>`;
+  }).join('');
+}
+
+export function getInlineElements(nodes) {
+  const elements = [];
+  if (!Array.isArray(nodes)) return elements;
+
+  nodes.forEach(node => {
+    if (node && typeof node === 'object') {
+      elements.push(node);
+      elements.push(...getInlineElements(node.children));
+    }
+  });
+  return elements;
+}
+
+// Describes the inline elements of one or more segments so units only match when their tags agree:
+// permissive compares counts, medium compares element types and i pairing, strict also compares
+// x ids, attributes and the native code carried by placeholders.
+export function getTagSignature(segments, strictness = 'permissive') {
+  if (strictness === 'ignore') return '';
+
+  const elementLists = segments.map(nodes => getInlineElements(nodes));
+  switch (strictness) {
+    case 'permissive':
+      return elementLists.map(elements => elements.length).join('/');
+    case 'medium':
+      return elementLists.map(elements => describeInlineElements(elements, false)).join('/');
+    case 'strict':
+      return elementLists.map(elements => describeInlineElements(elements, true)).join('/');
+    default:
+      throw new Error(`Invalid tag strictness: ${strictness}`);
+  }
+}
+
+export function hasInlineElements(nodes) {
+  return Array.isArray(nodes) && nodes.some(node => node && typeof node === 'object');
+}
+
+// tuv.seg always holds the plain translatable text; tuv.content is only kept when there is markup to preserve
+export function assignSegment(tuv, nodes) {
+  tuv.seg = segmentToText(nodes);
+  if (hasInlineElements(nodes)) {
+    tuv.content = nodes;
+  } else {
+    delete tuv.content;
+  }
+  return tuv;
+}
+
+export function applySegmentModel(tmxData) {
+  const tus = tmxData?.tmx?.body?.tu;
+  if (!Array.isArray(tus)) return tmxData;
+
+  tus.forEach((tu, index) => {
+    const tuvs = Array.isArray(tu?.tuv) ? tu.tuv : [];
+    tuvs.forEach(tuv => {
+      try {
+        assignSegment(tuv, parseSegmentXML(typeof tuv.seg === 'string' ? tuv.seg : String(tuv.seg ?? '')));
+      } catch (error) {
+        throw new Error(`Translation unit ${index + 1}: ${error.message}`);
+      }
+    });
+  });
+  return tmxData;
+}
+
+function describeInlineElements(elements, strict) {
+  // bpt/ept ids are renumbered in order of appearance so "1,1" and "5,5" pair up the same way
+  const pairIds = new Map();
+
+  return elements.map(element => {
+    const { i, x, pos, ...attributes } = element.attributes || {};
+    let description = element.tag;
+
+    if (i !== undefined) {
+      if (!pairIds.has(i)) {
+        pairIds.set(i, pairIds.size + 1);
+      }
+      description += `#${pairIds.get(i)}`;
+    }
+    if (pos) {
+      description += `:${pos}`;
+    }
+    if (strict) {
+      const code = INLINE_CODE_TAGS.has(element.tag) ? getAllText(element.children) : '';
+      description += JSON.stringify([x ?? '', attributes, code]);
+    }
+    return description;
+  }).join(',');
+}
+
+function getAllText(nodes) {
+  return (nodes || []).map(node => typeof node === 'string' ? node : getAllText(node?.children)).join('');
+}
+
+function appendText(nodes, text) {
+  if (!text) return;
+  if (typeof nodes[nodes.length - 1] === 'string') {
+    nodes[nodes.length - 1] += text;
+  } else {
+    nodes.push(text);
+  }
+}
+
+function parseAttributeString(raw) {
+  const attributes = {};
+  if (!raw) return attributes;
+
+  let match;
+  ATTRIBUTE_TOKEN.lastIndex = 0;
+  while ((match = ATTRIBUTE_TOKEN.exec(raw)) !== null) {
+    attributes[match[1]] = decodeEntities(match[2] ?? match[3] ?? '');
+  }
+  return attributes;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X'
+        ? parseInt(name.slice(2), 16)
+        : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+    }
+    return XML_ENTITIES[name] ?? entity;
+  });
+}
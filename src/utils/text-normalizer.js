@@ -0,0 +1,154 @@
+// Text normalization applied before texts are compared, shared by duplicate keys, fuzzy matching and the
+// inconsistency report. Each step is optional so users can decide which typographic differences matter
+export const UNICODE_FORMS = ['none', 'NFC', 'NFD', 'NFKC', 'NFKD'];
+export const PUNCTUATION_SETS = ['basic', 'unicode'];
+export const RULE_SCOPES = ['both', 'source', 'target'];
+
+export const DEFAULT_NORMALIZATION_OPTIONS = {
+  caseSensitive: false,
+  ignorePunctuation: false,
+  punctuationSet: 'basic', // with ignorePunctuation: 'basic' strips . , ! ? ; : and 'unicode' every punctuation character
+  ignoreWhitespace: true,
+  unicodeForm: 'NFC', // NFKC/NFKD also fold full-width forms and the ellipsis character
+  foldSpaces: false,
+  foldQuotes: false,
+  foldDashes: false,
+  // Masks replace variable content with a token so templated segments group together ("Page 3" and "Page 4")
+  maskNumbers: false,
+  maskUrls: false,
+  maskEmails: false,
+  maskPlaceholders: false,
+  // User-defined { pattern, replacement, flags, scope } regex replacements, applied in order before everything else
+  customRules: []
+};
+
+const SPECIAL_SPACES = /[\u00A0\u2000-\u200A\u202F\u205F\u3000]/g; // no-break, narrow no-break, thin, ideographic...
+const ZERO_WIDTH = /[\u200B\u2060\uFEFF]/g;
+const SPACE_BEFORE_PUNCTUATION = /\s+([:;!?\u00BB\u203A])/g; // French typography: « texte », Bonjour !
+const SPACE_AFTER_GUILLEMET = /([\u00AB\u2039])\s+/g;
+const SINGLE_QUOTES = /[\u2018\u2019\u201A\u201B\u2032\u2039\u203A\u00B4`\uFF07]/g;
+const DOUBLE_QUOTES = /[\u201C\u201D\u201E\u201F\u2033\u00AB\u00BB\u301D\u301E\uFF02]/g;
+const DASHES = /[\u2010-\u2015\u2212\uFE58\uFE63\uFF0D]/g;
+const BASIC_PUNCTUATION = /[.,!?;:]/g;
+const UNICODE_PUNCTUATION = /\p{P}/gu;
+
+// Applied in this order so placeholders such as {0} and the digits in addresses are not masked as numbers.
+// Tokens use < and >, which neither punctuation set strips
+const MASKS = [
+  { option: 'maskEmails', pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu, token: '<email>' },
+  { option: 'maskUrls', pattern: /\b(?:https?:\/\/|ftp:\/\/|www\.)[^\s<>"]*[^\s<>".,;:!?)]/giu, token: '<url>' },
+  {
+    option: 'maskPlaceholders',
+    // {0} {name} {{name}} ${name} $(name) %s %1$d %.2f
+    pattern: /\{\{[^{}]*\}\}|\$?\{[^{}\s]*\}|\$\([^()\s]*\)|%(?:\d+\$)?[-+0#]*\d*(?:\.\d+)?[sdifuxXeEgGc@]/g,
+    token: '<placeholder>'
+  },
+  { option: 'maskNumbers', pattern: /\p{Nd}+(?:[.,:/-]\p{Nd}+)*/gu, token: '<number>' }
+];
+
+// Languages whose lowercasing differs from the default: Turkish and Azeri dotted/dotless i, Lithuanian dot above
+const LOCALE_CASE_LANGUAGES = new Set(['tr', 'az', 'lt']);
+
+// segment describes the text: its language (the TUV's xml:lang, used for case folding) and side ('source' or
+// 'target', used by custom rules)
+export function normalizeMatchText(text, options, { language, side } = {}) {
+  const settings = { ...DEFAULT_NORMALIZATION_OPTIONS, ...options };
+  const {
+    caseSensitive,
+    ignorePunctuation,
+    punctuationSet,
+    ignoreWhitespace,
+    unicodeForm,
+    foldSpaces,
+    foldQuotes,
+    foldDashes
+  } = settings;
+
+  let normalized = applyCustomRules(text, settings.customRules, side);
+  if (unicodeForm && unicodeForm !== 'none') {
+    normalized = normalized.normalize(unicodeForm);
+  }
+  MASKS.forEach(({ option, pattern, token }) => {
+    if (settings[option]) {
+      normalized = normalized.replace(pattern, token);
+    }
+  });
+  // Spaces are folded before quotes so guillemets are still recognizable
+  if (foldSpaces) {
+    normalized = normalized
+      .replace(SPECIAL_SPACES, ' ')
+      .replace(ZERO_WIDTH, '')
+      .replace(SPACE_BEFORE_PUNCTUATION, '$1')
+      .replace(SPACE_AFTER_GUILLEMET, '$1');
+  }
+  if (foldQuotes) {
+    normalized = normalized.replace(SINGLE_QUOTES, "'").replace(DOUBLE_QUOTES, '"');
+  }
+  if (foldDashes) {
+    normalized = normalized.replace(DASHES, '-');
+  }
+  if (!caseSensitive) {
+    normalized = foldCase(normalized, language);
+  }
+  // Punctuation goes first so the spaces around a removed mark collapse with the rest
+  if (ignorePunctuation) {
+    normalized = normalized.replace(punctuationSet === 'unicode' ? UNICODE_PUNCTUATION : BASIC_PUNCTUATION, '');
+  }
+  if (ignoreWhitespace) {
+    normalized = normalized.replace(/\s+/g, ' ').trim();
+  }
+  return normalized;
+}
+
+// Validates rules and compiles their expressions; throws naming the first invalid rule
+export function compileCustomRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Invalid custom rules: expected a list');
+  }
+
+  return rules.map((rule, index) => {
+    if (typeof rule?.pattern !== 'string' || !rule.pattern) {
+      throw new Error(`Invalid custom rule ${index + 1}: missing pattern`);
+    }
+    if (rule.replacement !== undefined && typeof rule.replacement !== 'string') {
+      throw new Error(`Invalid custom rule ${index + 1}: replacement must be text`);
+    }
+    if (rule.scope !== undefined && !RULE_SCOPES.includes(rule.scope)) {
+      throw new Error(`Invalid custom rule ${index + 1}: scope must be one of ${RULE_SCOPES.join(', ')}`);
+    }
+
+    let expression;
+    try {
+      // Rules always replace every match
+      expression = new RegExp(rule.pattern, `${(rule.flags || '').replace(/g/g, '')}g`);
+    } catch (error) {
+      throw new Error(`Invalid custom rule ${index + 1}: ${error.message}`);
+    }
+    return { expression, replacement: rule.replacement || '', scope: rule.scope || 'both' };
+  });
+}
+
+// Applies the rules that cover the given side; rules without a side apply to both
+export function applyCustomRules(text, rules, side) {
+  if (!rules || rules.length === 0) return text;
+
+  return getCompiledRules(rules).reduce((result, { expression, replacement, scope }) =>
+    scope === 'both' || !side || scope === side ? result.replace(expression, replacement) : result, text);
+}
+
+// Compiled once per rules list; the same options object is used for every unit of an analysis
+const compiledRules = new WeakMap();
+function getCompiledRules(rules) {
+  if (!compiledRules.has(rules)) {
+    compiledRules.set(rules, compileCustomRules(rules));
+  }
+  return compiledRules.get(rules);
+}
+
+// Lowercases by the rules of the segment's language, then folds what lowercasing leaves distinct: German
+// ß matches ss (STRASSE/Straße) and Greek final sigma matches σ
+function foldCase(text, language) {
+  const primary = language?.split(/[-_]/)[0].toLowerCase();
+  const lower = LOCALE_CASE_LANGUAGES.has(primary) ? text.toLocaleLowerCase(primary) : text.toLowerCase();
+  return lower.replace(/\u00DF/g, 'ss').replace(/\u03C2/g, '\u03C3');
+}
@@ -1,114 +1,23 @@
-import { XMLBuilder } from 'fast-xml-parser';
 import { escapeXML } from './xml-utils.js';
 
-export function buildTMXContent(tmxData) {
-  // Create XML declaration and DOCTYPE
-  const xmlDeclaration = '<?xml version="1.0" encoding="utf-16"?>\n';
-  const doctypeDeclaration = '<!DOCTYPE tmx SYSTEM "tmx14.dtd">\n';
+export function buildAttributes(node) {
+  if (!node || typeof node !== 'object') return '';
 
-  // Build TMX content
-  let content = '<tmx version="1.4">\n';
-
-  // Build header
-  content += buildHeader(tmxData.tmx.header);
-
-  // Build body
-  content += '<body>\n';
-  content += buildTranslationUnits(tmxData.tmx.body.tu);
-  content += '</body>\n';
-  content += '</tmx>';
-
-  return xmlDeclaration + doctypeDeclaration + content;
+  return Object.entries(node)
+    .filter(([key, value]) => key.startsWith('@_') && value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key.substring(2)}="${escapeXML(String(value))}"`)
+    .join('');
 }
 
-function buildHeader(header) {
-  let content = '<header';
-  
-  // Add header attributes
-  const attributes = [
-    'creationtool',
-    'creationtoolversion',
-    'segtype',
-    'adminlang',
-    'creationid',
-    'srclang',
-    'o-tmf',
-    'datatype'
-  ];
-
-  attributes.forEach(attr => {
-    if (header[`@_${attr}`]) {
-      content += ` ${attr}="${escapeXML(header[`@_${attr}`])}"`;
-    }
-  });
-  content += '>\n';
-
-  // Add header properties
-  if (Array.isArray(header.prop)) {
-    header.prop.forEach(prop => {
-      content += `  <prop type="${escapeXML(prop['@_type'])}">${escapeXML(prop['#text'] || '')}</prop>\n`;
-    });
-  }
-
-  content += '</header>\n';
-  return content;
+export function buildProp(prop) {
+  const attributes = typeof prop === 'object' ? buildAttributes(prop) : '';
+  // Written back as parsed, so context props keep whatever format (escaped <seg> or plain text) they had
+  const propContent = String((typeof prop === 'object' ? prop?.['#text'] : prop) ?? '');
+  return `<prop${attributes}>${escapeXML(propContent)}</prop>`;
 }
 
-function buildTranslationUnits(tus) {
-  let content = '';
-
-  tus.forEach(tu => {
-    content += '  <tu';
-    
-    // Add TU attributes
-    ['changedate', 'creationdate', 'creationid', 'changeid'].forEach(attr => {
-      if (tu[`@_${attr}`]) {
-        content += ` ${attr}="${escapeXML(tu[`@_${attr}`])}"`;
-      }
-    });
-    content += '>\n';
-
-    // Add TU properties
-    if (Array.isArray(tu.prop)) {
-      tu.prop.forEach(prop => {
-        const propType = escapeXML(prop['@_type']);
-        let propContent = prop['#text'] || '';
-        
-        // Special handling for context properties
-        if (propType.startsWith('x-context-')) {
-          // Keep the escaped XML format for context properties
-          content += `    <prop type="${propType}">&lt;seg&gt;${escapeXML(propContent)}&lt;/seg&gt;</prop>\n`;
-        } else {
-          content += `    <prop type="${propType}">${escapeXML(propContent)}</prop>\n`;
-        }
-      });
-    }
-
-    // Add TUVs
-    tu.tuv.forEach(tuv => {
-      content += `    <tuv xml:lang="${escapeXML(tuv['@_xml:lang'])}">\n`;
-      
-      // Add TUV properties
-      if (Array.isArray(tuv.prop)) {
-        tuv.prop.forEach(prop => {
-          const propType = escapeXML(prop['@_type']);
-          let propContent = prop['#text'] || '';
-          
-          // Special handling for context properties
-          if (propType.startsWith('x-context-')) {
-            content += `      <prop type="${propType}">&lt;seg&gt;${escapeXML(propContent)}&lt;/seg&gt;</prop>\n`;
-          } else {
-            content += `      <prop type="${propType}">${escapeXML(propContent)}</prop>\n`;
-          }
-        });
-      }
-      
-      content += `      <seg>${escapeXML(tuv.seg)}</seg>\n`;
-      content += '    </tuv>\n';
-    });
-
-    content += '  </tu>\n';
-  });
-
-  return content;
+export function buildNote(note) {
+  const attributes = typeof note === 'object' ? buildAttributes(note) : '';
+  const noteContent = String((typeof note === 'object' ? note?.['#text'] : note) ?? '');
+  return `<note${attributes}>${escapeXML(noteContent)}</note>`;
 }
\ No newline at end of file
@@ -1,21 +1,25 @@
 import { XMLParser } from 'fast-xml-parser';
+import { applySegmentModel, hasInlineElements } from './segment-model.js';
 
-export function parseTMXContent(content) {
-  if (!content || typeof content !== 'string') {
-    throw new Error('Invalid TMX content: Content must be a non-empty string');
-  }
-
-  const parser = new XMLParser({
+export function createTMXParser() {
+  return new XMLParser({
     ignoreAttributes: false,
     attributeNamePrefix: "@_",
     parseAttributeValue: false,
-    parseNodeValue: false,
+    parseTagValue: false,
     trimValues: false,
-    isArray: (name) => ['tu', 'tuv', 'prop'].includes(name)
+    isArray: (name) => ['tu', 'tuv', 'prop', 'note'].includes(name),
+    stopNodes: ['*.seg']
   });
+}
+
+export function parseTMXContent(content) {
+  if (!content || typeof content !== 'string') {
+    throw new Error('Invalid TMX content: Content must be a non-empty string');
+  }
 
   try {
-    const result = parser.parse(content);
+    const result = applySegmentModel(createTMXParser().parse(content));
     validateTMXStructure(result);
     return result;
   } catch (error) {
@@ -57,6 +61,24 @@ export function validateTMXStructure(data) {
   return true;
 }
 
+// Unlike parseTMXContent, units that cannot be matched are left for the analysis to skip
+// so the document can be rewritten without losing them
+export function parseTMXDocument(content) {
+  if (!content || typeof content !== 'string') {
+    throw new Error('Invalid TMX content: Content must be a non-empty string');
+  }
+
+  const tmxData = createTMXParser().parse(content);
+  if (!tmxData?.tmx?.header) {
+    throw new Error('Invalid TMX structure: missing header');
+  }
+  if (!Array.isArray(tmxData.tmx.body?.tu)) {
+    throw new Error('Invalid TMX structure: missing or invalid translation units');
+  }
+
+  return applySegmentModel(tmxData);
+}
+
 function validateHeader(header) {
   if (!header['@_srclang']) {
     throw new Error('Invalid TMX header: Missing source language');
@@ -75,23 +97,37 @@ function validateHeader(header) {
   }
 }
 
-export function extractTUContent(tu) {
+export function extractTUContent(tu, languages) {
   if (!tu) {
     throw new Error('Invalid translation unit: No data provided');
   }
 
-  if (!isValidTU(tu)) {
+  if (!languages?.source || !languages?.target) {
+    throw new Error('Invalid language pair: source and target languages are required');
+  }
+
+  if (!Array.isArray(tu.tuv)) {
     throw new Error('Invalid translation unit structure');
   }
 
   try {
+    const targets = getTargetLanguages(languages).map((language, index) => ({
+      language,
+      // Only the primary target is mandatory; multilingual TUs often lack some languages
+      text: index === 0 ? getTUText(tu, language) : (findTUV(tu, language)?.seg || '').trim(),
+      content: findTUV(tu, language)?.content
+    }));
+
     return {
-      sourceText: getTUText(tu, 'en'),
-      targetText: getTUText(tu, 'fr'),
-      creationId: validateAttribute(tu['@_creationid']) || '-',
-      changeId: validateAttribute(tu['@_changeid']) || '-',
-      creationDate: validateAttribute(tu['@_creationdate']) || '-',
-      changeDate: validateAttribute(tu['@_changedate']) || '-'
+      sourceText: getTUText(tu, languages.source),
+      targetText: targets[0].text,
+      sourceContent: findTUV(tu, languages.source)?.content,
+      targetContent: targets[0].content,
+      targets,
+      creationId: validateAttribute(tu['@_creationid']),
+      changeId: validateAttribute(tu['@_changeid']),
+      creationDate: validateAttribute(tu['@_creationdate']),
+      changeDate: validateAttribute(tu['@_changedate'])
     };
   } catch (error) {
     throw new Error(`Failed to extract TU content: ${error.message}`);
@@ -103,7 +139,7 @@ export function isValidTU(tu) {
     return false;
   }
 
-  if (!Array.isArray(tu.tuv) || tu.tuv.length !== 2) {
+  if (!Array.isArray(tu.tuv) || tu.tuv.length < 2) {
     return false;
   }
 
@@ -112,35 +148,113 @@ export function isValidTU(tu) {
     typeof tuv === 'object' &&
     typeof tuv['@_xml:lang'] === 'string' &&
     tuv['@_xml:lang'].trim().length > 0 &&
-    typeof tuv.seg === 'string' &&
-    tuv.seg.trim().length > 0
+    hasSegment(tuv)
   );
 }
 
-function getTUText(tu, langPrefix) {
+// A segment counts when it has text or inline codes, so units made only of tags (a lone <ph/>) can still match
+export function hasSegment(tuv) {
+  return (typeof tuv?.seg === 'string' && tuv.seg.trim().length > 0) || hasInlineElements(tuv?.content);
+}
+
+function getTUText(tu, language) {
   if (!tu || !Array.isArray(tu.tuv)) {
-    throw new Error(`Cannot get ${langPrefix} text: Invalid TU structure`);
+    throw new Error(`Cannot get ${language} text: Invalid TU structure`);
   }
 
-  const tuv = tu.tuv.find(t => 
-    t && t['@_xml:lang'] && 
-    t['@_xml:lang'].toLowerCase().startsWith(langPrefix.toLowerCase())
-  );
+  const tuv = findTUV(tu, language);
   
   if (!tuv) {
-    throw new Error(`Missing ${langPrefix} translation unit variant`);
+    throw new Error(`Missing ${language} translation unit variant`);
   }
 
-  if (!tuv.seg) {
-    throw new Error(`Missing ${langPrefix} segment text`);
+  if (!hasSegment(tuv)) {
+    throw new Error(`Empty ${language} segment`);
   }
-  
-  const text = tuv.seg.trim();
-  if (text.length === 0) {
-    throw new Error(`Empty ${langPrefix} segment text`);
+
+  // Empty for segments made only of inline codes
+  return (tuv.seg || '').trim();
+}
+
+function normalizeLanguageCode(code) {
+  return typeof code === 'string' ? code.trim().toLowerCase().replace(/_/g, '-') : '';
+}
+
+// Exact matches win; otherwise a bare language ('en') matches any of its regional variants ('en-ca')
+export function languagesMatch(a, b, exact = false) {
+  const first = normalizeLanguageCode(a);
+  const second = normalizeLanguageCode(b);
+  if (!first || !second) return false;
+  if (first === second) return true;
+  if (exact) return false;
+  return first.startsWith(`${second}-`) || second.startsWith(`${first}-`);
+}
+
+export function findTUV(tu, language) {
+  if (!tu || !Array.isArray(tu.tuv) || !language) {
+    return null;
+  }
+
+  return tu.tuv.find(t => t && languagesMatch(t['@_xml:lang'], language, true)) ||
+         tu.tuv.find(t => t && languagesMatch(t['@_xml:lang'], language)) ||
+         null;
+}
+
+export function getTargetLanguages(languages) {
+  if (Array.isArray(languages?.targets) && languages.targets.length > 0) {
+    return languages.targets;
+  }
+  return languages?.target ? [languages.target] : [];
+}
+
+// TU-level <prop> elements as { type, value } pairs, e.g. the client and domain memoQ records per unit
+export function getTUProps(tu) {
+  if (!tu?.prop) return [];
+  const props = Array.isArray(tu.prop) ? tu.prop : [tu.prop];
+  return props
+    .filter(prop => prop?.['@_type'])
+    .map(prop => ({ type: prop['@_type'], value: String(prop['#text'] ?? '').trim() }))
+    .filter(prop => prop.value);
+}
+
+export function getHeaderProp(header, type) {
+  if (!header || !header.prop) return '';
+  const props = Array.isArray(header.prop) ? header.prop : [header.prop];
+  const prop = props.find(p => p && p['@_type'] === type);
+  return typeof prop?.['#text'] === 'string' ? prop['#text'].trim() : '';
+}
+
+export function detectLanguagePair(tmxData) {
+  const header = tmxData?.tmx?.header;
+  const tus = tmxData?.tmx?.body?.tu;
+  if (!header || !Array.isArray(tus)) {
+    throw new Error('Invalid TMX data: cannot detect language pair');
+  }
+
+  let source = header['@_srclang'] && header['@_srclang'] !== '*all*' ? header['@_srclang'] : '';
+  let target = getHeaderProp(header, 'targetlang');
+
+  for (const tu of tus) {
+    if (source && target) break;
+    if (!tu || !Array.isArray(tu.tuv)) continue;
+
+    for (const tuv of tu.tuv) {
+      const lang = tuv?.['@_xml:lang'];
+      if (!lang) continue;
+      if (!source) {
+        source = lang;
+      } else if (!target && !languagesMatch(lang, source)) {
+        target = lang;
+        break;
+      }
+    }
+  }
+
+  if (!source || !target) {
+    throw new Error('Unable to detect source and target languages');
   }
 
-  return text;
+  return { source, target };
 }
 
 function validateAttribute(attr) {
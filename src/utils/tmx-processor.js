@@ -1,9 +1,15 @@
+import { parseTMXDocument } from './tmx-core.js';
+import { XMLStreamWriter, createDuplicateFilter, encodeChunks, writeTMXStart, writeTMXEnd } from './tmx-writer.js';
+import { detectFileEncoding, resolveOutputEncoding } from './encoding-detector.js';
+import { extractXMLProlog } from './xml-utils.js';
+
 const CHUNK_SIZE = 2 * 1024 * 1024; // 2MB chunks
+const ENCODING_SAMPLE_SIZE = 4096;
 const MAX_BATCH_MEMORY = 1.5 * 1024 * 1024; // 1.5MB per batch
 const MAX_BLOB_CHUNK_SIZE = 50 * 1024 * 1024; // 50MB max blob chunk
 let currentBatchSize = 1000; // Initial size, will adjust
 
-export async function processTMX(file, priorities, duplicates, onProgress) {
+export async function processTMX(file, priorities, duplicates, onProgress, options = {}) {
   if (!file) {
     throw new Error('No file provided for processing');
   }
@@ -16,39 +22,24 @@ export async function processTMX(file, priorities, duplicates, onProgress) {
 
   try {
     const xmlWriter = new XMLStreamWriter();
-    const duplicateMap = new Map(
-      duplicates.map(d => {
-        if (!d || typeof d !== 'object') {
-          throw new Error('Invalid duplicate entry: expected object');
-        }
-        const key = generateTUKey(d);
-        if (!key) {
-          throw new Error('Failed to generate key for duplicate entry');
-        }
-        return [key, d.status];
-      })
+    const sourceEncoding = detectFileEncoding(
+      new Uint8Array(await readChunk(file.slice(0, ENCODING_SAMPLE_SIZE)))
     );
+    const outputEncoding = resolveOutputEncoding(sourceEncoding, options.outputEncoding);
+    const fileContent = await readFileInChunks(file, onProgress, sourceEncoding);
+    const prolog = extractXMLProlog(fileContent);
+    const tmxData = parseTMXDocument(fileContent);
 
-    const fileContent = await readFileInChunks(file, onProgress);
-    const parser = createParser();
-    const tmxData = parser.parse(fileContent);
-
-    if (!tmxData?.tmx?.body?.tu || !Array.isArray(tmxData.tmx.body.tu)) {
-      throw new Error('Invalid TMX structure: missing or invalid translation units');
+    // Duplicates are removed by position, so a file read differently than at analysis would lose the wrong units
+    if (options.unitCount !== undefined && tmxData.tmx.body.tu.length !== options.unitCount) {
+      throw new Error(`the file has ${tmxData.tmx.body.tu.length} units but ${options.unitCount} were analyzed; nothing was written`);
     }
 
+    const isKept = createDuplicateFilter(duplicates);
+
     const totalSegments = tmxData.tmx.body.tu.length;
 
-    // Write XML structure
-    xmlWriter.startDocument();
-    xmlWriter.writeDTD();
-    xmlWriter.startElement('tmx', { 'version': '1.4' });
-    
-    if (!tmxData.tmx.header) {
-      throw new Error('Invalid TMX structure: missing header');
-    }
-    xmlWriter.writeHeader(tmxData.tmx.header);
-    xmlWriter.startElement('body');
+    writeTMXStart(xmlWriter, tmxData, prolog, sourceEncoding, outputEncoding);
 
     // Process TUs with adaptive batching
     let processedCount = 0;
@@ -68,16 +59,16 @@ export async function processTMX(file, priorities, duplicates, onProgress) {
         const tuSize = estimateTUSize(tu);
 
         if (currentMemorySize + tuSize > MAX_BATCH_MEMORY) {
-          await processBatch(currentBatch, duplicateMap, xmlWriter);
+          await processBatch(currentBatch, isKept, xmlWriter);
           processedCount += currentBatch.length;
           onProgress(processedCount, totalSegments, 'processing segments');
 
           currentBatchSize = Math.floor(currentBatch.length * (MAX_BATCH_MEMORY / currentMemorySize));
-          currentBatch = [tu];
+          currentBatch = [{ tu, ordinal: i }];
           currentMemorySize = tuSize;
           await cleanupMemory();
         } else {
-          currentBatch.push(tu);
+          currentBatch.push({ tu, ordinal: i });
           currentMemorySize += tuSize;
         }
       } catch (error) {
@@ -87,7 +78,7 @@ export async function processTMX(file, priorities, duplicates, onProgress) {
     }
 
     if (currentBatch.length > 0) {
-      await processBatch(currentBatch, duplicateMap, xmlWriter);
+      await processBatch(currentBatch, isKept, xmlWriter);
       processedCount += currentBatch.length;
       onProgress(processedCount, totalSegments, 'processing segments');
     }
@@ -100,11 +91,9 @@ export async function processTMX(file, priorities, duplicates, onProgress) {
       throw new Error('No valid translation units were processed');
     }
 
-    xmlWriter.endElement(); // body
-    xmlWriter.endElement(); // tmx
-    xmlWriter.endDocument();
+    writeTMXEnd(xmlWriter);
 
-    const blob = await createBlobInChunks(xmlWriter.getChunks());
+    const blob = await createBlobInChunks(encodeChunks(xmlWriter.getChunks(), outputEncoding));
     if (!blob) {
       throw new Error('Failed to create output file');
     }
@@ -116,171 +105,15 @@ export async function processTMX(file, priorities, duplicates, onProgress) {
   }
 }
 
-class XMLStreamWriter {
-  constructor() {
-    this.chunks = [];
-    this.indentLevel = 0;
-    this.currentChunkSize = 0;
-  }
-
-  startDocument() {
-    this.write('<?xml version="1.0" encoding="UTF-8"?>\n');
-  }
-
-  writeDTD() {
-    this.write('<!DOCTYPE tmx SYSTEM "tmx11.dtd">\n');
-  }
-
-  startElement(name, attributes = {}) {
-    if (!name) {
-      throw new Error('Element name is required');
-    }
-    this.writeIndent();
-    this.write(`<${name}`);
-    try {
-      Object.entries(attributes).forEach(([key, value]) => {
-        if (!key) {
-          throw new Error('Invalid attribute key');
-        }
-        this.write(` ${key}="${escapeXml(value)}"`);
-      });
-    } catch (error) {
-      throw new Error(`Error writing element attributes: ${error.message}`);
-    }
-    this.write('>\n');
-    this.indentLevel++;
-  }
-
-  endElement() {
-    this.indentLevel--;
-    if (this.indentLevel < 0) {
-      throw new Error('XML structure error: too many closing tags');
-    }
-    this.writeIndent();
-    this.write('</tmx>\n');
-  }
-
-  writeHeader(header) {
-    if (!header) {
-      throw new Error('Header data is required');
-    }
-    this.writeIndent();
-    this.write('<header');
-    try {
-      Object.entries(header).forEach(([key, value]) => {
-        if (key.startsWith('@_')) {
-          this.write(` ${key.substring(2)}="${escapeXml(value)}"`);
-        }
-      });
-    } catch (error) {
-      throw new Error(`Error writing header: ${error.message}`);
-    }
-    this.write('>\n');
-    
-    if (header.prop) {
-      if (!Array.isArray(header.prop)) {
-        throw new Error('Invalid header properties format');
-      }
-      header.prop.forEach(prop => {
-        try {
-          this.writeIndent();
-          this.write(`  <prop type="${escapeXml(prop['@_type'])}">${escapeXml(prop['#text'])}</prop>\n`);
-        } catch (error) {
-          console.warn('Error writing header property:', error);
-        }
-      });
-    }
-    
-    this.write('</header>\n');
-  }
-
-  writeTU(tu) {
-    if (!tu || !Array.isArray(tu.tuv)) {
-      throw new Error('Invalid TU structure');
-    }
-    
-    try {
-      const tuContent = this.generateTUContent(tu);
-      this.write(tuContent);
-
-      if (this.currentChunkSize > CHUNK_SIZE) {
-        this.flushChunk();
-      }
-    } catch (error) {
-      throw new Error(`Error writing TU: ${error.message}`);
-    }
-  }
-
-  generateTUContent(tu) {
-    let content = '';
-    content += '  '.repeat(this.indentLevel) + '<tu';
-    
-    try {
-      Object.entries(tu).forEach(([key, value]) => {
-        if (key.startsWith('@_')) {
-          content += ` ${key.substring(2)}="${escapeXml(value)}"`;
-        }
-      });
-      content += '>\n';
-
-      tu.tuv.forEach(tuv => {
-        if (!tuv['@_xml:lang']) {
-          throw new Error('Missing language attribute in TUV');
-        }
-        content += '  '.repeat(this.indentLevel + 1);
-        content += `<tuv xml:lang="${escapeXml(tuv['@_xml:lang'])}">`;
-        content += `<seg>${escapeXml(tuv.seg || '')}</seg></tuv>\n`;
-      });
-
-      content += '  '.repeat(this.indentLevel) + '</tu>\n';
-    } catch (error) {
-      throw new Error(`Error generating TU content: ${error.message}`);
-    }
-
-    return content;
-  }
-
-  writeIndent() {
-    this.write('  '.repeat(this.indentLevel));
-  }
-
-  write(text) {
-    if (typeof text !== 'string') {
-      throw new Error('Invalid write: expected string content');
-    }
-    this.chunks.push(text);
-    this.currentChunkSize += text.length * 2; // UTF-16
-    
-    if (this.currentChunkSize > CHUNK_SIZE) {
-      this.flushChunk();
-    }
-  }
-
-  flushChunk() {
-    try {
-      const content = this.chunks.join('');
-      this.chunks = [content];
-      this.currentChunkSize = content.length * 2;
-    } catch (error) {
-      throw new Error(`Error flushing chunk: ${error.message}`);
-    }
-  }
-
-  getChunks() {
-    return this.chunks;
-  }
-}
-
-async function processBatch(batch, duplicateMap, xmlWriter) {
+async function processBatch(batch, isKept, xmlWriter) {
   if (!Array.isArray(batch)) {
     throw new Error('Invalid batch: expected array');
   }
 
   let processedCount = 0;
-  for (const tu of batch) {
+  for (const { tu, ordinal } of batch) {
     try {
-      const key = generateTUKey(tu);
-      if (!duplicateMap.has(key) || duplicateMap.get(key) === 'keep') {
+      if (isKept(ordinal)) {
         xmlWriter.writeTU(tu);
         processedCount++;
       }
@@ -307,7 +140,7 @@ async function createBlobInChunks(chunks) {
     let currentSize = 0;
 
     for (const chunk of chunks) {
-      const chunkSize = chunk.length * 2; // UTF-16
+      const chunkSize = chunk.byteLength; // encoded bytes
 
       if (currentSize + chunkSize > MAX_BLOB_CHUNK_SIZE) {
         const blob = new Blob(currentPart, { type: 'text/xml' });
@@ -398,7 +231,7 @@ async function mergeBlobsInChunks(blobs) {
   }
 }
 
-async function readFileInChunks(file, onProgress) {
+async function readFileInChunks(file, onProgress, encodingInfo) {
   if (!file) {
     throw new Error('No file provided for reading');
   }
@@ -408,13 +241,16 @@ async function readFileInChunks(file, onProgress) {
   let processedBytes = 0;
   
   try {
+    // Streaming decode keeps multi-byte characters intact across chunk boundaries; the BOM is dropped
+    const decoder = new TextDecoder(encodingInfo.encoding === 'utf-16' ? 'utf-16le' : encodingInfo.encoding);
+
     while (offset < file.size) {
       const chunk = file.slice(offset, offset + CHUNK_SIZE);
-      const content = await readChunk(chunk);
-      if (!content) {
+      const buffer = await readChunk(chunk);
+      if (!buffer) {
         throw new Error(`Failed to read chunk at offset ${offset}`);
       }
-      chunks.push(content);
+      chunks.push(decoder.decode(new Uint8Array(buffer), { stream: true }));
       
       processedBytes += chunk.size;
       onProgress?.(processedBytes, file.size, 'reading file');
@@ -423,6 +259,7 @@ async function readFileInChunks(file, onProgress) {
       await cleanupMemory();
     }
 
+    chunks.push(decoder.decode());
     const result = chunks.join('');
     chunks.length = 0;
     await cleanupMemory();
@@ -441,57 +278,10 @@ function readChunk(chunk) {
     const reader = new FileReader();
     reader.onload = () => resolve(reader.result);
     reader.onerror = () => reject(new Error('Failed to read chunk: ' + reader.error));
-    reader.readAsText(chunk);
+    reader.readAsArrayBuffer(chunk);
   });
 }
 
-function generateTUKey(tu) {
-  if (!tu) {
-    throw new Error('Invalid TU for key generation');
-  }
-
-  try {
-    const sourceText = getTUVText(tu, 'en');
-    const targetText = getTUVText(tu, 'fr');
-    if (!sourceText || !targetText) {
-      throw new Error('Missing source or target text for key generation');
-    }
-    return `${sourceText}|${targetText}`;
-  } catch (error) {
-    throw new Error(`Failed to generate TU key: ${error.message}`);
-  }
-}
-
-function getTUVText(tu, langPrefix) {
-  if (!tu || typeof tu !== 'object') {
-    throw new Error(`Invalid TU structure for ${langPrefix} text extraction`);
-  }
-
-  if (typeof tu.sourceText === 'string' && langPrefix === 'en') return tu.sourceText;
-  if (typeof tu.targetText === 'string' && langPrefix === 'fr') return tu.targetText;
-
-  try {
-    if (!Array.isArray(tu.tuv)) {
-      throw new Error('Invalid TU: missing tuv array');
-    }
-
-    const tuv = tu.tuv.find(t => t && t['@_xml:lang']?.toLowerCase().startsWith(langPrefix));
-    if (!tuv) {
-      throw new Error(`No ${langPrefix} translation found`);
-    }
-    
-    const text = tuv?.seg?.toString().trim();
-    if (!text) {
-      throw new Error(`Empty ${langPrefix} segment`);
-    }
-    
-    return text;
-  } catch (error) {
-    console.warn(`Error extracting ${langPrefix} text:`, error);
-    return '';
-  }
-}
-
 function estimateTUSize(tu) {
   if (!tu || typeof tu !== 'object') {
     throw new Error('Invalid TU for size estimation');
@@ -525,26 +315,6 @@ function estimateTUSize(tu) {
   }
 }
 
-function escapeXml(unsafe) {
-  if (typeof unsafe !== 'string') return '';
-  
-  try {
-    return unsafe.replace(/[<>&'"]/g, c => {
-      switch (c) {
-        case '<': return '&lt;';
-        case '>': return '&gt;';
-        case '&': return '&amp;';
-        case '\'': return '&apos;';
-        case '"': return '&quot;';
-        default: return c;
-      }
-    });
-  } catch (error) {
-    console.error('Error escaping XML:', error);
-    return '';
-  }
-}
-
 async function cleanupMemory() {
   try {
     if (globalThis.gc) {
@@ -554,16 +324,4 @@ async function cleanupMemory() {
   } catch (error) {
     console.warn('Memory cleanup failed:', error);
   }
-}
-
-function createParser() {
-  try {
-    return new XMLParser({
-      ignoreAttributes: false,
-      attributeNamePrefix: "@_",
-      format: true
-    });
-  } catch (error) {
-    throw new Error(`Failed to create XML parser: ${error.message}`);
-  }
 }
\ No newline at end of file
@@ -0,0 +1,281 @@
+import { buildAttributes, buildProp, buildNote } from './tmx-builder.js';
+import { serializeSegment } from './segment-model.js';
+import { EncodingInfo, encodeWithEncoding } from './encoding-detector.js';
+import { setXMLDeclarationEncoding } from './xml-utils.js';
+
+const CHUNK_SIZE = 2 * 1024 * 1024; // 2MB chunks
+
+// Writes the cleaned document for both the browser download and the CLI
+export function writeTMXStart(xmlWriter, tmxData, prolog, sourceEncoding, outputEncoding) {
+  if (!tmxData?.tmx?.header) {
+    throw new Error('Invalid TMX structure: missing header');
+  }
+
+  // Keep the input's declaration, DOCTYPE and root attributes
+  xmlWriter.startDocument(outputEncoding === sourceEncoding
+    ? prolog.declaration
+    : setXMLDeclarationEncoding(prolog.declaration, outputEncoding.xmlEncoding || outputEncoding.encoding.toUpperCase()));
+  xmlWriter.writeDTD(prolog.doctype);
+  xmlWriter.startElement('tmx', getRootAttributes(tmxData.tmx));
+  xmlWriter.writeHeader(tmxData.tmx.header);
+  xmlWriter.startElement('body');
+}
+
+export function writeTMXEnd(xmlWriter) {
+  xmlWriter.endElement(); // body
+  xmlWriter.endElement(); // tmx
+  xmlWriter.endDocument();
+}
+
+// Returns a predicate telling whether the TU at a position (ordinal) in the file survives the duplicate decisions.
+// Units are matched by position rather than text, so exactly the chosen copies of identical units are removed
+export function createDuplicateFilter(duplicates) {
+  if (!Array.isArray(duplicates)) {
+    throw new Error('Invalid duplicates data: expected array');
+  }
+
+  const deletedOrdinals = new Set();
+  duplicates.forEach(d => {
+    if (!d || typeof d !== 'object') {
+      throw new Error('Invalid duplicate entry: expected object');
+    }
+    if (!Number.isInteger(d.ordinal)) {
+      throw new Error('Invalid duplicate entry: missing unit ordinal');
+    }
+    if (d.status !== 'keep') {
+      deletedOrdinals.add(d.ordinal);
+    }
+  });
+
+  return ordinal => !deletedOrdinals.has(ordinal);
+}
+
+export class XMLStreamWriter {
+  constructor() {
+    this.chunks = [];
+    this.indentLevel = 0;
+    this.currentChunkSize = 0;
+    this.openElements = [];
+  }
+
+  startDocument(declaration) {
+    if (declaration) {
+      this.write(`${declaration}\n`);
+    }
+  }
+
+  writeDTD(doctype) {
+    if (doctype) {
+      this.write(`${doctype}\n`);
+    }
+  }
+
+  startElement(name, attributes = {}) {
+    if (!name) {
+      throw new Error('Element name is required');
+    }
+    this.writeIndent();
+    this.write(`<${name}`);
+    try {
+      Object.entries(attributes).forEach(([key, value]) => {
+        if (!key) {
+          throw new Error('Invalid attribute key');
+        }
+        this.write(` ${key}="${escapeXml(value)}"`);
+      });
+    } catch (error) {
+      throw new Error(`Error writing element attributes: ${error.message}`);
+    }
+    this.write('>\n');
+    this.openElements.push(name);
+    this.indentLevel++;
+  }
+
+  endElement() {
+    this.indentLevel--;
+    const name = this.openElements.pop();
+    if (this.indentLevel < 0 || !name) {
+      throw new Error('XML structure error: too many closing tags');
+    }
+    this.writeIndent();
+    this.write(`</${name}>\n`);
+  }
+
+  endDocument() {
+    if (this.openElements.length > 0) {
+      throw new Error(`XML structure error: unclosed elements ${this.openElements.join(', ')}`);
+    }
+    this.flushChunk();
+  }
+
+  writeHeader(header) {
+    if (!header) {
+      throw new Error('Header data is required');
+    }
+    this.writeIndent();
+    try {
+      this.write(`<header${buildAttributes(header)}>\n`);
+    } catch (error) {
+      throw new Error(`Error writing header: ${error.message}`);
+    }
+    
+    if (header.prop) {
+      if (!Array.isArray(header.prop)) {
+        throw new Error('Invalid header properties format');
+      }
+      header.prop.forEach(prop => {
+        try {
+          this.writeIndent();
+          this.write(`  ${buildProp(prop)}\n`);
+        } catch (error) {
+          console.warn('Error writing header property:', error);
+        }
+      });
+    }
+
+    toArray(header.note).forEach(note => {
+      this.writeIndent();
+      this.write(`  ${buildNote(note)}\n`);
+    });
+    
+    this.writeIndent();
+    this.write('</header>\n');
+  }
+
+  writeTU(tu) {
+    if (!tu || !Array.isArray(tu.tuv)) {
+      throw new Error('Invalid TU structure');
+    }
+    
+    try {
+      const tuContent = this.generateTUContent(tu);
+      this.write(tuContent);
+
+      if (this.currentChunkSize > CHUNK_SIZE) {
+        this.flushChunk();
+      }
+    } catch (error) {
+      throw new Error(`Error writing TU: ${error.message}`);
+    }
+  }
+
+  generateTUContent(tu) {
+    let content = '';
+    const indent = '  '.repeat(this.indentLevel);
+    content += indent + '<tu';
+    
+    try {
+      content += buildAttributes(tu);
+      content += '>\n';
+
+      toArray(tu.prop).forEach(prop => {
+        content += `${indent}  ${buildProp(prop)}\n`;
+      });
+      toArray(tu.note).forEach(note => {
+        content += `${indent}  ${buildNote(note)}\n`;
+      });
+
+      tu.tuv.forEach(tuv => {
+        if (!tuv['@_xml:lang']) {
+          throw new Error('Missing language attribute in TUV');
+        }
+        const tuvChildren = [
+          ...toArray(tuv.prop).map(buildProp),
+          ...toArray(tuv.note).map(buildNote)
+        ];
+        const seg = `<seg>${tuv.content ? serializeSegment(tuv.content) : escapeXml(tuv.seg || '')}</seg>`;
+
+        content += `${indent}  <tuv${buildAttributes(tuv)}>`;
+        if (tuvChildren.length === 0) {
+          content += `${seg}</tuv>\n`;
+        } else {
+          content += '\n';
+          tuvChildren.forEach(child => {
+            content += `${indent}    ${child}\n`;
+          });
+          content += `${indent}    ${seg}\n${indent}  </tuv>\n`;
+        }
+      });
+
+      content += '  '.repeat(this.indentLevel) + '</tu>\n';
+    } catch (error) {
+      throw new Error(`Error generating TU content: ${error.message}`);
+    }
+
+    return content;
+  }
+
+  writeIndent() {
+    this.write('  '.repeat(this.indentLevel));
+  }
+
+  write(text) {
+    if (typeof text !== 'string') {
+      throw new Error('Invalid write: expected string content');
+    }
+    this.chunks.push(text);
+    this.currentChunkSize += text.length * 2; // UTF-16
+    
+    if (this.currentChunkSize > CHUNK_SIZE) {
+      this.flushChunk();
+    }
+  }
+
+  flushChunk() {
+    try {
+      const content = this.chunks.join('');
+      this.chunks = [content];
+      this.currentChunkSize = content.length * 2;
+    } catch (error) {
+      throw new Error(`Error flushing chunk: ${error.message}`);
+    }
+  }
+
+  getChunks() {
+    return this.chunks;
+  }
+}
+
+export function encodeChunks(chunks, encodingInfo) {
+  // Only the first chunk carries the byte order mark
+  const continuation = new EncodingInfo(encodingInfo.encoding, false, null, encodingInfo.xmlEncoding);
+  return chunks.map((chunk, index) => encodeWithEncoding(chunk, index === 0 ? encodingInfo : continuation));
+}
+
+export function getRootAttributes(tmx) {
+  const attributes = {};
+  Object.entries(tmx).forEach(([key, value]) => {
+    if (key.startsWith('@_')) {
+      attributes[key.substring(2)] = value;
+    }
+  });
+  if (!attributes.version) {
+    attributes.version = '1.4';
+  }
+  return attributes;
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function escapeXml(unsafe) {
+  if (typeof unsafe !== 'string') return '';
+  
+  try {
+    return unsafe.replace(/[<>&'"]/g, c => {
+      switch (c) {
+        case '<': return '&lt;';
+        case '>': return '&gt;';
+        case '&': return '&amp;';
+        case '\'': return '&apos;';
+        case '"': return '&quot;';
+        default: return c;
+      }
+    });
+  } catch (error) {
+    console.error('Error escaping XML:', error);
+    return '';
+  }
+}
\ No newline at end of file
@@ -1,4 +1,6 @@
-import { XMLParser } from 'fast-xml-parser';
+import { detectLanguagePair } from './tmx-core.js';
+import { groupTranslationUnits, clusterDuplicateGroups, resolveDuplicateGroups } from './duplicate-analyzer.js';
+import { findInconsistencies } from './inconsistency-analyzer.js';
 
 const CHUNK_SIZE = 2 * 1024 * 1024; // 2MB chunks
 const MAX_BATCH_MEMORY = 1.5 * 1024 * 1024; // 1.5MB per batch
@@ -21,6 +23,10 @@ self.onmessage = async function(e) {
         throw new Error('Invalid TMX structure: Missing translation units');
       }
 
+      const languages = data.languages?.source && data.languages?.target
+        ? data.languages
+        : detectLanguagePair(tmxData);
+
       const total = tmxData.tmx.body.tu.length;
       const duplicateGroups = new Map();
       let processed = 0;
@@ -39,7 +45,7 @@ self.onmessage = async function(e) {
           const tuSize = estimateTUSize(tu);
 
           if (batchMemorySize + tuSize > MAX_BATCH_MEMORY) {
-            const failedTUs = await processBatch(currentBatch, duplicateGroups, options);
+            const failedTUs = groupTranslationUnits(currentBatch, duplicateGroups, options, languages);
             processed += currentBatch.length - failedTUs.length;
             
             if (failedTUs.length > 0) {
@@ -66,18 +72,6 @@ self.onmessage = async function(e) {
             currentBatch = [tu];
             batchMemorySize = tuSize;
             await checkAndCleanMemory();
-            
-            // Clear single-entry groups to save memory
-            let clearedCount = 0;
-            for (const [key, units] of duplicateGroups) {
-              if (units.length === 1) {
-                duplicateGroups.delete(key);
-                clearedCount++;
-              }
-            }
-            if (clearedCount > 0) {
-              console.log(`Cleared ${clearedCount} single-entry groups to optimize memory`);
-            }
           } else {
             currentBatch.push(tu);
             batchMemorySize += tuSize;
@@ -90,14 +84,26 @@ self.onmessage = async function(e) {
 
       // Process any remaining TUs
       if (currentBatch.length > 0) {
-        const failedTUs = await processBatch(currentBatch, duplicateGroups, options);
+        const failedTUs = groupTranslationUnits(currentBatch, duplicateGroups, options, languages);
         processed += currentBatch.length - failedTUs.length;
       }
 
+      // Fuzzy matching merges near-identical groups before any decisions are made
+      const groups = clusterDuplicateGroups(duplicateGroups, options, (clustered, totalKeys) => {
+        self.postMessage({
+          type: 'progress',
+          data: {
+            processed: clustered,
+            total: totalKeys,
+            stage: 'clustering similar segments'
+          }
+        });
+      });
+
       // Second pass: Process duplicates
       const duplicatesList = [];
       let groupsProcessed = 0;
-      const entries = Array.from(duplicateGroups.entries());
+      const entries = Array.from(groups.entries());
       const totalGroups = entries.length;
       currentBatch = [];
       batchMemorySize = 0;
@@ -108,7 +114,7 @@ self.onmessage = async function(e) {
           const entrySize = estimateGroupSize(units);
 
           if (batchMemorySize + entrySize > MAX_BATCH_MEMORY) {
-            await processGroupBatch(currentBatch, duplicatesList, priorities);
+            resolveDuplicateGroups(currentBatch, duplicatesList, priorities);
             groupsProcessed += currentBatch.length;
 
             self.postMessage({
@@ -135,7 +141,7 @@ self.onmessage = async function(e) {
 
       // Process remaining groups
       if (currentBatch.length > 0) {
-        await processGroupBatch(currentBatch, duplicatesList, priorities);
+        resolveDuplicateGroups(currentBatch, duplicatesList, priorities);
       }
 
       // Final cleanup
@@ -156,78 +162,41 @@ self.onmessage = async function(e) {
         data: `Duplicate analysis failed: ${error.message}`
       });
     }
-  } else {
-    self.postMessage({
-      type: 'error',
-      data: `Unknown command type: ${type}`
-    });
-  }
-};
-
-async function processBatch(batch, duplicateGroups, options) {
-  if (!Array.isArray(batch)) {
-    throw new Error('Invalid batch: Expected array of TUs');
-  }
-
-  const failedTUs = [];
-  
-  for (const tu of batch) {
+  } else if (type === 'findInconsistencies') {
     try {
-      if (!tu || !Array.isArray(tu.tuv)) {
-        failedTUs.push({ tu, error: 'Invalid TU structure' });
-        continue;
-      }
-
-      const content = extractTUContent(tu);
-      if (!content.sourceText || !content.targetText) {
-        failedTUs.push({ tu, error: 'Missing source or target text' });
-        continue;
-      }
-
-      const key = getTUKey(content, options);
-      if (!duplicateGroups.has(key)) {
-        duplicateGroups.set(key, []);
+      if (!data?.tmxData?.tmx?.body?.tu || !data.options) {
+        throw new Error('Invalid input data for inconsistency analysis');
       }
-      duplicateGroups.get(key).push({ ...content, originalTU: tu });
-    } catch (error) {
-      console.warn('Error processing TU:', error);
-      failedTUs.push({ tu, error: error.message });
-    }
-  }
-
-  return failedTUs;
-}
-
-async function processGroupBatch(groupBatch, duplicatesList, priorities) {
-  if (!Array.isArray(groupBatch)) {
-    throw new Error('Invalid group batch: Expected array of groups');
-  }
 
-  for (const [key, units] of groupBatch) {
-    if (!Array.isArray(units) || units.length < 2) {
-      console.warn(`Skipping invalid group for key: ${key}`);
-      continue;
-    }
+      const { tmxData, options } = data;
+      const languages = data.languages?.source && data.languages?.target
+        ? data.languages
+        : detectLanguagePair(tmxData);
 
-    try {
-      units.sort((a, b) => compareTUs(a.originalTU, b.originalTU, priorities));
-      units.forEach((unit, index) => {
-        duplicatesList.push({
-          sourceText: unit.sourceText,
-          targetText: unit.targetText,
-          creationId: unit.creationId,
-          changeId: unit.changeId,
-          creationDate: unit.creationDate,
-          changeDate: unit.changeDate,
-          status: index === 0 ? 'keep' : 'delete'
+      const inconsistencies = findInconsistencies(tmxData.tmx.body.tu, options, languages, (processed, total) => {
+        self.postMessage({
+          type: 'progress',
+          data: { processed, total, stage: 'finding inconsistent translations' }
         });
       });
+
+      self.postMessage({
+        type: 'complete',
+        data: inconsistencies
+      });
     } catch (error) {
-      console.error(`Error processing group ${key}:`, error);
-      // Continue with next group
+      self.postMessage({
+        type: 'error',
+        data: `Inconsistency analysis failed: ${error.message}`
+      });
     }
+  } else {
+    self.postMessage({
+      type: 'error',
+      data: `Unknown command type: ${type}`
+    });
   }
-}
+};
 
 function estimateTUSize(tu) {
   if (!tu || typeof tu !== 'object') {
@@ -280,136 +249,4 @@ async function checkAndCleanMemory() {
     globalThis.gc();
   }
   await new Promise(resolve => setTimeout(resolve, 20));
-}
-
-function getTUKey(content, options) {
-  if (!content || !options) {
-    throw new Error('Invalid arguments for getTUKey');
-  }
-
-  const { matchMode, caseSensitive, ignorePunctuation, ignoreWhitespace } = options;
-  
-  let sourceText = content.sourceText?.toString() || '';
-  let targetText = content.targetText?.toString() || '';
-
-  if (!sourceText || !targetText) {
-    throw new Error('Missing source or target text for key generation');
-  }
-
-  if (!caseSensitive) {
-    sourceText = sourceText.toLowerCase();
-    targetText = targetText.toLowerCase();
-  }
-
-  if (ignoreWhitespace) {
-    sourceText = sourceText.replace(/\s+/g, ' ').trim();
-    targetText = targetText.replace(/\s+/g, ' ').trim();
-  }
-
-  if (ignorePunctuation) {
-    sourceText = sourceText.replace(/[.,!?;:]/g, '');
-    targetText = targetText.replace(/[.,!?;:]/g, '');
-  }
-
-  switch (matchMode) {
-    case 'targetsEqual':
-      return targetText;
-    case 'bothEqual':
-      return `${sourceText}|${targetText}`;
-    case 'sourcesEqual':
-      return sourceText;
-    default:
-      throw new Error(`Invalid match mode: ${matchMode}`);
-  }
-}
-
-function extractTUContent(tu) {
-  if (!tu || !Array.isArray(tu.tuv)) {
-    throw new Error('Invalid TU structure for content extraction');
-  }
-
-  const sourceText = getTUVText(tu, 'en');
-  const targetText = getTUVText(tu, 'fr');
-
-  if (!sourceText || !targetText) {
-    throw new Error('Missing source or target text in TU');
-  }
-
-  return {
-    sourceText,
-    targetText,
-    creationId: tu['@_creationid'] || '',
-    changeId: tu['@_changeid'] || '',
-    creationDate: tu['@_creationdate'] || '',
-    changeDate: tu['@_changedate'] || ''
-  };
-}
-
-function getTUVText(tu, langPrefix) {
-  if (!tu || !Array.isArray(tu.tuv)) {
-    throw new Error(`Invalid TU structure for ${langPrefix} text extraction`);
-  }
-
-  try {
-    const tuv = tu.tuv.find(t => t['@_xml:lang']?.toLowerCase().startsWith(langPrefix));
-    if (!tuv) {
-      throw new Error(`No ${langPrefix} translation found`);
-    }
-    return tuv?.seg?.toString().trim() || '';
-  } catch (error) {
-    console.warn(`Error extracting ${langPrefix} text:`, error);
-    return '';
-  }
-}
-
-function compareTUs(a, b, priorities) {
-  if (!a || !b || !priorities) {
-    throw new Error('Invalid arguments for TU comparison');
-  }
-
-  const { creationId, changeId, changeDate, creationDate, priorityOrder } = priorities;
-
-  if (priorityOrder === 'dates') {
-    if (changeDate) {
-      const comp = (b['@_changedate'] || '').localeCompare(a['@_changedate'] || '');
-      if (comp !== 0) return comp;
-    }
-    if (creationDate) {
-      const comp = (b['@_creationdate'] || '').localeCompare(a['@_creationdate'] || '');
-      if (comp !== 0) return comp;
-    }
-  }
-
-  if (creationId.length > 0) {
-    const aIndex = creationId.indexOf(a['@_creationid']);
-    const bIndex = creationId.indexOf(b['@_creationid']);
-    if (aIndex !== bIndex) {
-      if (aIndex === -1) return 1;
-      if (bIndex === -1) return -1;
-      return aIndex - bIndex;
-    }
-  }
-
-  if (changeId.length > 0) {
-    const aIndex = changeId.indexOf(a['@_changeid']);
-    const bIndex = changeId.indexOf(b['@_changeid']);
-    if (aIndex !== bIndex) {
-      if (aIndex === -1) return 1;
-      if (bIndex === -1) return -1;
-      return aIndex - bIndex;
-    }
-  }
-
-  if (priorityOrder !== 'dates') {
-    if (changeDate) {
-      const comp = (b['@_changedate'] || '').localeCompare(a['@_changedate'] || '');
-      if (comp !== 0) return comp;
-    }
-    if (creationDate) {
-      const comp = (b['@_creationdate'] || '').localeCompare(a['@_creationdate'] || '');
-      if (comp !== 0) return comp;
-    }
-  }
-
-  return 0;
 }
\ No newline at end of file
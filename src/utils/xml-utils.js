@@ -57,6 +57,31 @@ export function createXMLBuilder() {
   });
 }
 
+export function extractXMLProlog(content) {
+  if (typeof content !== 'string') {
+    return { declaration: null, doctype: null };
+  }
+
+  const head = content.slice(0, 4096);
+  const rootStart = head.search(/<(?![?!])/);
+  const prolog = rootStart === -1 ? head : head.slice(0, rootStart);
+
+  return {
+    declaration: prolog.match(/^\uFEFF?\s*(<\?xml\b[\s\S]*?\?>)/)?.[1] || null,
+    doctype: prolog.match(/<!DOCTYPE\b[^[>]*(?:\[[\s\S]*?\])?\s*>/i)?.[0] || null
+  };
+}
+
+export function setXMLDeclarationEncoding(declaration, encoding) {
+  if (!declaration) {
+    return `<?xml version="1.0" encoding="${encoding}"?>`;
+  }
+  if (/\bencoding\s*=\s*["'][^"']*["']/.test(declaration)) {
+    return declaration.replace(/\bencoding\s*=\s*["'][^"']*["']/, `encoding="${encoding}"`);
+  }
+  return declaration.replace(/^<\?xml\b(\s+version\s*=\s*["'][^"']*["'])?/, match => `${match} encoding="${encoding}"`);
+}
+
 export function validateXML(text) {
   try {
     if (!text || typeof text !== 'string') {